@@ -1,98 +1,369 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import fs from 'fs';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { Argument, Option, program } from 'commander';
 import GitFlow from './src/GitFlow.js';
+import { GitExecutor } from './src/GitExecutor.js';
+import { GitFlowError, ConfigNotFoundError, InvalidArgumentError } from './src/errors.js';
+import { SHELLS, completeWords, completionScript } from './src/completion.js';
+import { exit } from './src/utils.js';
 
-// 🔹 Git Flow initialization (interactive mode)
+program
+  .option('--dry-run', 'Print the planned git commands without running them', false)
+  .option('--json', 'Print a single JSON document with the result or the error, without decorations', false)
+  .option('--non-interactive', 'Never prompt, a missing answer is an error. On in CI and without a terminal', false);
+
+// With --json, stdout only holds the JSON document
+const printJson = (document) => process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+
+program.hook('preAction', () => {
+  if (!program.opts().json) return;
+  chalk.level = 0;
+  for (const method of ['log', 'info', 'warn', 'error']) console[method] = () => {};
+});
+
+program.configureOutput({
+  outputError: (message, write) => {
+    if (!program.opts().json) return write(message);
+    printJson({ ok: false, error: { code: 'INVALID_ARGUMENT', message: message.replace(/^error: /, '').trim() } });
+  },
+});
+
+// Prompts are off with --non-interactive or --json, when CI is set, and when stdin is not a terminal
+const isNonInteractive = () => {
+  const { nonInteractive, json } = program.opts();
+  const ci = Boolean(process.env.CI) && !/^(false|0)$/i.test(process.env.CI);
+  return Boolean(nonInteractive || json || ci || !process.stdin.isTTY);
+};
+
+const gitFlowOptions = () => {
+  const options = { ...program.opts(), nonInteractive: isNonInteractive() };
+  return options.json ? { ...options, executor: new GitExecutor({ hookOutput: 'stderr' }) } : options;
+};
+
+// An answer of 'gitflow init' from the environment, e.g. GITFLOW_REMOTE_BRANCHES=false
+const envAnswer = (name, isBoolean = false) => {
+  const value = process.env[name];
+  if (!value) return undefined;
+  if (!isBoolean) return value;
+  if (/^(true|1|yes)$/i.test(value)) return true;
+  if (/^(false|0|no)$/i.test(value)) return false;
+  throw new InvalidArgumentError(`Invalid value for ${name}: '${value}'. Use true or false.`);
+};
+
+// The answers of 'gitflow init', from the flags first, then from the environment
+const initAnswers = (options) => {
+  let staging = options.staging ?? envAnswer('GITFLOW_STAGING');
+  if (/^(false|0|no)$/i.test(staging)) staging = false;
+  return {
+    overwrite: options.overwrite ?? envAnswer('GITFLOW_OVERWRITE', true),
+    useExistingConfig: options.useExisting ?? envAnswer('GITFLOW_USE_EXISTING', true),
+    mainBranch: options.main ?? envAnswer('GITFLOW_MAIN'),
+    developBranch: options.develop ?? envAnswer('GITFLOW_DEVELOP'),
+    useStaging: staging === undefined ? undefined : staging !== false,
+    stagingBranch: staging || undefined,
+    createBranches: options.createBranches ?? envAnswer('GITFLOW_CREATE_BRANCHES', true),
+    createBranchesOnRemote: options.remoteBranches ?? envAnswer('GITFLOW_REMOTE_BRANCHES', true),
+  };
+};
+
+// Offer to run 'gitflow init' when there is no configuration yet
+const gitFlow = async () => {
+  try {
+    return await GitFlow.create(undefined, gitFlowOptions());
+  } catch (error) {
+    if (!(error instanceof ConfigNotFoundError) || isNonInteractive()) throw error;
+    const { runInit } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'runInit',
+        message: "No Git Flow configuration found. Do you want to run 'gitflow init'?",
+        default: false,
+      },
+    ]);
+    if (!runInit) throw error;
+    await GitFlow.init(gitFlowOptions());
+    return GitFlow.create(undefined, gitFlowOptions());
+  }
+};
+
+// The library throws, the CLI turns its errors into a message and an exit code
+const run =
+  (action) =>
+  async (...args) => {
+    const { json } = program.opts();
+    const command = args.at(-1).name();
+    try {
+      const result = await action(...args);
+      if (json) printJson({ ok: true, command, result: result ?? null });
+    } catch (error) {
+      // Ctrl+C on a prompt
+      if (error?.name === 'ExitPromptError') exit(130);
+      if (json) {
+        const details = error instanceof GitFlowError ? error : { code: 'UNEXPECTED_ERROR', message: error.message };
+        printJson({ ok: false, command, error: details });
+        exit(error.exitCode ?? 1);
+      }
+      if (!(error instanceof GitFlowError)) throw error;
+      console.error(`\n🤕 ${error.message}`);
+      exit(error.exitCode);
+    }
+  };
+
+// 🔹 Git Flow initialization, every answer can be given as a flag or an environment variable
 program
   .command('init')
   .description('Initialize Git Flow with custom branch names')
-  .option('-y --yes', 'No questions', false)
-  .action(async (args) => GitFlow.init(args));
+  .option('-y --yes', 'Take the existing or default configuration, and the defaults of the other questions', false)
+  .option('--main <branch>', 'Name of the main branch (env: GITFLOW_MAIN)')
+  .option('--develop <branch>', 'Name of the develop branch (env: GITFLOW_DEVELOP)')
+  .option('--staging <branch>', 'Use a staging branch with this name (env: GITFLOW_STAGING)')
+  .option('--no-staging', 'Do not use a staging branch (env: GITFLOW_STAGING=false)')
+  .option('--create-branches', 'Create the branches now (env: GITFLOW_CREATE_BRANCHES=true)')
+  .option('--no-create-branches', 'Do not create the branches now')
+  .option('--remote-branches', 'Create the branches on the remote (env: GITFLOW_REMOTE_BRANCHES=true)')
+  .option('--no-remote-branches', 'Do not create the branches on the remote')
+  .option('--overwrite', 'Overwrite an existing configuration (env: GITFLOW_OVERWRITE=true)')
+  .option('--no-overwrite', 'Keep an existing configuration, cancelling the initialization')
+  .option('--use-existing', 'Start from the existing configuration (env: GITFLOW_USE_EXISTING=true)')
+  .option('--no-use-existing', 'Start from the default configuration')
+  .action(
+    run((options) => GitFlow.init({ ...gitFlowOptions(), yes: options.yes, answers: initAnswers(options) }))
+  );
+
+// 🔹 Flow branch management, one start/finish command pair per branch type
+for (const [type, definition] of Object.entries(GitFlow.loadBranchTypes())) {
+  const { base, mergeInto, tag, versioned, fromSupport } = definition;
+  const argument = versioned ? 'version' : 'name';
+
+  const start = program
+    .command(`${type}:start ${versioned || tag ? `[${argument}...]` : `<${argument}...>`}`)
+    .description(
+      `Start a new ${type} branch from ${base}${tag && !versioned ? ', named after the next patch version by default' : ''}`
+    );
+  if (versioned) {
+    start
+      .option('--major', 'Release the next major version')
+      .option('--minor', 'Release the next minor version')
+      .option('--patch', 'Release the next patch version');
+  }
+  if (fromSupport) start.option('--base <branch>', 'Start from a support branch, e.g. support/1.x');
+  start.action(run(async (name, options) => (await gitFlow()).startBranch(type, name, options)));
+
+  const finish = program
+    .command(`${type}:finish [${argument}...]`)
+    .description(`Finish an existing ${type} branch and merge to ${mergeInto.join(', ')}${tag ? ', then tag it' : ''}`)
+    .addOption(new Option('--strategy <strategy>', 'Merge strategy for every target').choices(GitFlow.mergeStrategies));
+  if (fromSupport) {
+    finish.option('--forward-port', 'Also merge a branch of a support branch into develop');
+  }
+  finish
+    .option('--complete', 'In pull-request mode, tag and clean up once the pull requests are merged')
+    .option('--wait', 'In pull-request mode, wait for the pull requests to be merged (see waitTimeout), then complete');
+  finish.action(
+    run(async (name, options) => {
+      const flow = await gitFlow();
+      return flow.finishBranch(type, name.length > 0 ? name : await flow.selectBranchName(type), options);
+    })
+  );
+
+  program
+    .command(`${type}:sync [${argument}...]`)
+    .description(`Update a ${type} branch from ${base}, or its support branch. Defaults to the current branch`)
+    .addOption(
+      new Option('--strategy <strategy>', 'Merge or rebase the base, overriding syncStrategy').choices(
+        GitFlow.syncStrategies
+      )
+    )
+    .action(
+      run(async (name, options) => {
+        const flow = await gitFlow();
+        const current = name.length > 0 ? name : flow.getCurrentFlowName(type);
+        return flow.syncBranch(type, current ?? (await flow.selectBranchName(type)), options);
+      })
+    );
+}
 
-// 🔹 Feature branch management
+// 🔹 Support branches
 program
-  .command('feature:start <name...>')
-  .description('Start a new feature branch')
-  .action((name) => new GitFlow().startFeature(name));
+  .command('support:start <name> <tag>')
+  .description('Start a long-lived support branch from a version tag, e.g. support:start 1.x v1.4.2')
+  .action(run(async (name, tag) => (await gitFlow()).startSupport(name, tag)));
 
 // 🔹 Test feature branch
 program
   .command('feature:test <name...>')
   .description('Test a feature branch and merge to staging')
-  .action((name) => new GitFlow().testFeature(name));
+  .action(run(async (name) => (await gitFlow()).testFeature(name)));
 
-// 🔹 Finish feature branch
+// 🔹 Release candidates and changelog
 program
-  .command('feature:finish <name...>')
-  .description('Finish a feature branch and merge to develop')
-  .action((name) => new GitFlow().finishFeature(name));
+  .command('release:rc <version>')
+  .description('Tag the next release candidate of an open release branch')
+  .action(run(async (version) => (await gitFlow()).tagReleaseCandidate(version)));
 
-// 🔹 Release branch management
 program
-  .command('release:start <version...>')
-  .description('Start a new release branch')
-  .action((version) => new GitFlow().startRelease(version));
+  .command('release:changelog <version>')
+  .description('Preview the changelog section of a release')
+  .action(run(async (version) => (await gitFlow()).previewChangelog(version)));
 
+// 🔹 Ticket keys
 program
-  .command('release:finish <version...>')
-  .description('Finish a release branch and merge to main and develop')
-  .action((version) => new GitFlow().finishRelease(version));
+  .command('hooks:install')
+  .description('Install the prepare-commit-msg hook, prefixing commit messages with the ticket key of the branch')
+  .option('--force', 'Overwrite an existing prepare-commit-msg hook', false)
+  .action(run(async (options) => (await gitFlow()).installCommitMessageHook(options.force)));
 
-// 🔹 Bugfix branch management
 program
-  .command('bugfix:start <name...>')
-  .description('Start a new bugfix branch')
-  .action((name) => new GitFlow().startBugfix(name));
+  .command('prepare-commit-msg <file> [source] [sha]', { hidden: true })
+  .action(
+    run(async (file, source) => {
+      // The hook must never block a commit, e.g. in a clone without configuration or with an invalid one
+      if (!fs.existsSync(GitFlow.configFilePath)) return null;
+      try {
+        return (await gitFlow()).prepareCommitMessage(file, source);
+      } catch {
+        return null;
+      }
+    })
+  );
 
+// 🔹 Switch branch
 program
-  .command('bugfix:finish <name...>')
-  .description('Finish a bugfix branch and merge to staging or develop')
-  .action((name) => new GitFlow().finishBugfix(name));
+  .command('switch [branch]')
+  .description('Switch to a branch, pick it from a list when omitted')
+  .action(
+    run(async (branch) => {
+      const flow = await gitFlow();
+      return flow.switchBranch(branch ?? (await flow.selectBranch()));
+    })
+  );
 
-// 🔹 Hotfix branch management
+// 🔹 Push current branch to its remote
 program
-  .command('hotfix:start <name...>')
-  .description('Start a new hotfix branch')
-  .action((name) => new GitFlow().startHotfix(name));
+  .command('push')
+  .description('Push current branch to its configured remote')
+  .action(run(async () => (await gitFlow()).pushCurrentBranch()));
 
+// 🔹 Paused operations
 program
-  .command('hotfix:finish <name...>')
-  .description('Finish a hotfix branch and merge to staging, develop, and main')
-  .action((name) => new GitFlow().finishHotfix(name));
+  .command('continue')
+  .description('Continue an operation paused by merge conflicts')
+  .action(run(async () => (await gitFlow()).continueOperation()));
 
-// 🔹 Switch branch
 program
-  .command('switch <branch>')
-  .description('Switch to a branch')
-  .action((branch) => new GitFlow().checkoutBranch(branch));
+  .command('abort')
+  .description('Abort an operation paused by merge conflicts')
+  .action(run(async () => (await gitFlow()).abortOperation()));
 
-// 🔹 Push current branch to origin
+// 🔹 Status
 program
-  .command('push')
-  .description('Push current branch to origin')
-  .action(() => new GitFlow().pushCurrentBranch());
+  .command('status')
+  .description('Show the paused operation, the flow branches and main/develop divergence')
+  .action(run(async () => (await gitFlow()).status()));
+
+// 🔹 Cleanup
+program
+  .command('cleanup')
+  .description('Delete the flow branches merged into their targets, or without commits for some days')
+  .option('--days <days>', 'Also the branches without commits for this many days')
+  .option('--remote', 'Also the branches on the remote, deleting them there too')
+  .option('-y --yes', 'Delete every branch found without asking')
+  .action(run(async (options) => (await gitFlow()).cleanup(options)));
+
+// 🔹 Operation journal
+program
+  .command('log')
+  .description('List the operations run by Git Flow, most recent first')
+  .option('--type <type>', 'Only the operations of a type, e.g. release or release:finish')
+  .option('--since <date>', 'Only the operations started on or after a date, e.g. 2026-01-31')
+  .option('--until <date>', 'Only the operations started on or before a date')
+  .option('-n --limit <count>', 'Only the most recent operations')
+  .option('-v --verbose', 'Also list the commands with their exit codes')
+  .action(run(async (options) => (await gitFlow()).log(options)));
+
+// 🔹 Undo
+program
+  .command('undo')
+  .description('Undo the last operation, restoring the local branches and tags as they were before it')
+  .addOption(
+    new Option('--remote <action>', 'What to do with the refs already pushed').choices([
+      'local',
+      'force-push',
+      'revert',
+    ])
+  )
+  .option('-y --yes', 'Confirm the force-push or the revert without asking')
+  .action(run(async (options) => (await gitFlow()).undo(options)));
 
 // 🔹 Multiple argument test
 program
   .command('test <version...>')
   .description('Test multiple arguments')
-  .action((version) => console.log({ version }));
+  .action(
+    run((version) => {
+      console.log({ version });
+      return { version };
+    })
+  );
 
 // Test command
 program
   .command('test:command <name>')
   .description('Test command')
-  .action((name) => {
-    try {
-      console.log('Test command');
-      console.log(name);
-      const gitFlow = new GitFlow();
-      console.info('Branch exists on remote: ', gitFlow.branchExistsRemote(name));
-      console.info(`Done`);
-    } catch (error) {
-      console.error(error);
-    }
-  });
+  .action(
+    run(async (name) => {
+      try {
+        console.log('Test command');
+        console.log(name);
+        const exists = (await gitFlow()).branchExistsRemote(name);
+        console.info('Branch exists on remote: ', exists);
+        console.info(`Done`);
+        return { name, exists };
+      } catch (error) {
+        console.error(error);
+      }
+    })
+  );
+
+// 🔹 Shell completion
+program
+  .command('completion')
+  .description('Print the shell completion script, e.g. source <(gitflow completion bash)')
+  .addArgument(new Argument('<shell>').choices(SHELLS))
+  .action(
+    run((shell) => {
+      const script = completionScript(shell);
+      if (!program.opts().json) process.stdout.write(script);
+      return { shell, script };
+    })
+  );
+
+program
+  .command('__complete [words...]', { hidden: true })
+  .action(
+    run((words) => {
+      // Without a configuration, only the commands and options are completed, never prompting for init
+      const suggest = (command, context) =>
+        fs.existsSync(GitFlow.configFilePath)
+          ? new GitFlow(undefined, program.opts()).getCompletions(command, context)
+          : [];
+      const candidates = completeWords(program, words.length > 0 ? words : [''], suggest);
+      if (candidates.length > 0) console.log(candidates.join('\n'));
+      return candidates;
+    })
+  );
+
+// 🔹 Menu of the flow actions, when no command is given
+program.action(
+  run(async () => {
+    if (program.args.length > 0) program.error(`error: unknown command '${program.args[0]}'`);
+    // The menu needs a terminal, e.g. in CI print the commands instead
+    if (isNonInteractive()) program.help();
+    return (await gitFlow()).menu();
+  })
+);
 
-program.parse(process.argv);
+await program.parseAsync(process.argv);
@@ -0,0 +1,322 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Git Executor
+ * @class
+ * @classdesc Runs git with an argument array, without a shell, so branch names are never interpreted
+ * @property {string} cwd - The working directory git runs in
+ * @property {'inherit'|'stderr'} hookOutput - Where the output of the hooks goes
+ * @example const git = new GitExecutor();
+ * @example git.run(['checkout', '-b', 'feature/login', 'develop']);
+ */
+export class GitExecutor {
+  cwd;
+  hookOutput;
+  #gitDir;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.cwd] The working directory, defaults to the current one
+   * @param {'inherit'|'stderr'} [options.hookOutput] Show the output of the hooks on stdout and stderr, or only
+   * on stderr, keeping stdout for machine-readable output
+   */
+  constructor({ cwd = process.cwd(), hookOutput = 'inherit' } = {}) {
+    this.cwd = cwd;
+    this.hookOutput = hookOutput;
+  }
+
+  /**
+   * Run a git command
+   * @param {string[]} args The arguments passed to git
+   * @returns {{ code: number, stdout: string, stderr: string }} The result of the command
+   */
+  run(args) {
+    const result = spawnSync('git', args, { cwd: this.cwd, encoding: 'utf8' });
+    if (result.error) {
+      return { code: 1, stdout: '', stderr: result.error.message };
+    }
+    return { code: result.status ?? 1, stdout: result.stdout, stderr: result.stderr };
+  }
+
+  /**
+   * Read a file of the working tree
+   * @param {string} file The path of the file, relative to the working directory
+   * @returns {string|null} The content, or null if the file does not exist
+   */
+  readFile(file) {
+    const filePath = path.resolve(this.cwd, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  /**
+   * Write a file of the working tree, creating its directory if needed
+   * @param {string} file The path of the file, relative to the working directory
+   * @param {string} content The new content
+   * @param {object} [options]
+   * @param {number} [options.mode] The file mode, e.g. `0o755` for a script
+   * @returns {{ code: number, stdout: string, stderr: string }} The result, in the same shape as `run`
+   */
+  writeFile(file, content, { mode } = {}) {
+    try {
+      const filePath = path.resolve(this.cwd, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content, mode === undefined ? undefined : { mode });
+      return { code: 0, stdout: '', stderr: '' };
+    } catch (error) {
+      return { code: 1, stdout: '', stderr: error.message };
+    }
+  }
+
+  /**
+   * @returns {string} The absolute path of the `.git` directory of the working directory
+   * @throws {Error} If the working directory is not in a git repository
+   */
+  gitDir() {
+    if (!this.#gitDir) {
+      const { code, stdout, stderr } = this.run(['rev-parse', '--absolute-git-dir']);
+      if (code !== 0) throw new Error(stderr.trim() || 'Not a git repository');
+      this.#gitDir = stdout.trim();
+    }
+    return this.#gitDir;
+  }
+
+  /**
+   * Check whether a file of the `.git` directory exists, e.g. `MERGE_HEAD`
+   * @param {string} name The path of the file or directory, relative to the `.git` directory
+   * @returns {boolean} Whether it exists
+   */
+  hasGitFile(name) {
+    return fs.existsSync(path.join(this.gitDir(), name));
+  }
+
+  /**
+   * Read a file of the `.git` directory
+   * @param {string} name The path of the file, relative to the `.git` directory
+   * @returns {string|null} The content, or null if the file does not exist
+   */
+  readGitFile(name) {
+    const filePath = path.join(this.gitDir(), name);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  /**
+   * Write a file of the `.git` directory, e.g. the state of a paused operation
+   * @param {string} name The path of the file, relative to the `.git` directory
+   * @param {string} content The new content
+   * @returns {void}
+   */
+  writeGitFile(name, content) {
+    fs.writeFileSync(path.join(this.gitDir(), name), content);
+  }
+
+  /**
+   * Append to a file of the `.git` directory, creating it if needed
+   * @param {string} name The path of the file, relative to the `.git` directory
+   * @param {string} content The content to append
+   * @returns {void}
+   */
+  appendGitFile(name, content) {
+    fs.appendFileSync(path.join(this.gitDir(), name), content);
+  }
+
+  /**
+   * Remove a file of the `.git` directory, if it exists
+   * @param {string} name The path of the file, relative to the `.git` directory
+   * @returns {void}
+   */
+  removeGitFile(name) {
+    fs.rmSync(path.join(this.gitDir(), name), { force: true });
+  }
+
+  /**
+   * Run a lifecycle hook: a shell command, with its output shown to the user
+   * @param {string} command The shell command
+   * @param {object} env The environment variables added for the hook
+   * @returns {{ code: number, stdout: string, stderr: string }} The result, in the same shape as `run`
+   */
+  runHook(command, env) {
+    const result = spawnSync(command, {
+      cwd: this.cwd,
+      shell: true,
+      stdio: this.hookOutput === 'stderr' ? ['inherit', process.stderr, 'inherit'] : 'inherit',
+      env: { ...process.env, ...env },
+    });
+    if (result.error) {
+      return { code: 1, stdout: '', stderr: result.error.message };
+    }
+    return { code: result.status ?? 1, stdout: '', stderr: '' };
+  }
+
+  /**
+   * Format a git command for display, quoting the arguments that need it
+   * @param {string[]} args The arguments passed to git
+   * @returns {string} The command, e.g. `git commit -m 'Add file'`
+   * @example GitExecutor.format(['commit', '-m', 'Add file']);
+   */
+  static format(args) {
+    const quote = (arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`);
+    return ['git', ...args.map(quote)].join(' ');
+  }
+}
+
+/**
+ * Recording Git Executor
+ * @class
+ * @classdesc A fake executor for unit tests: records every git call and answers with scripted responses.
+ * Calls without a matching response succeed with an empty output. Nothing touches the disk: the files of the
+ * working tree and of the `.git` directory are kept in memory.
+ * @property {string[][]} calls - The arguments of every call, in order
+ * @property {{ file: string, content: string }[]} writes - The files written to the working tree, in order
+ * @property {{ command: string, env: object }[]} hooks - The lifecycle hooks run, in order
+ * @property {Map<string, string>} files - The files of the working tree, by path
+ * @property {Map<string, string>} gitFiles - The files of the `.git` directory, by path, e.g. `MERGE_HEAD`
+ * @example const git = new RecordingGitExecutor();
+ * @example git.respond(['branch', '--show-current'], { stdout: 'develop\n' });
+ * @example git.respondOnce(['merge'], { code: 1, stderr: 'CONFLICT' });
+ * @example const gitFlow = new GitFlow(config, { executor: git });
+ */
+export class RecordingGitExecutor {
+  calls = [];
+  writes = [];
+  hooks = [];
+  files = new Map();
+  gitFiles = new Map();
+  #responses = [];
+
+  /**
+   * Answer every matching call with the given response.
+   * The most recently added response wins.
+   * @param {string[]|RegExp|Function} matcher Leading arguments, a pattern tested against the formatted command,
+   * or a predicate receiving the arguments
+   * @param {object|Function} response A partial result, or a function receiving the arguments and returning one
+   * @returns {RecordingGitExecutor} The executor, for chaining
+   */
+  respond(matcher, response) {
+    const index = this.#responses.findIndex(({ once }) => !once);
+    this.#responses.splice(index === -1 ? this.#responses.length : index, 0, { matcher, response, once: false });
+    return this;
+  }
+
+  /**
+   * Answer the next matching call only. One-time responses are used before persistent ones.
+   * @param {string[]|RegExp|Function} matcher See `respond`
+   * @param {object|Function} response See `respond`
+   * @returns {RecordingGitExecutor} The executor, for chaining
+   */
+  respondOnce(matcher, response) {
+    const index = this.#responses.findIndex(({ once }) => !once);
+    this.#responses.splice(index === -1 ? this.#responses.length : index, 0, { matcher, response, once: true });
+    return this;
+  }
+
+  /**
+   * Record a git call and answer it
+   * @param {string[]} args The arguments passed to git
+   * @returns {{ code: number, stdout: string, stderr: string }} The scripted result
+   */
+  run(args) {
+    this.calls.push(args);
+    const index = this.#responses.findIndex(({ matcher }) => RecordingGitExecutor.#matches(matcher, args));
+    if (index === -1) return { code: 0, stdout: '', stderr: '' };
+
+    const { response, once } = this.#responses[index];
+    if (once) this.#responses.splice(index, 1);
+    const result = typeof response === 'function' ? response(args) : response;
+    return { code: 0, stdout: '', stderr: '', ...result };
+  }
+
+  /**
+   * @param {string} file The path of the file
+   * @returns {string|null} The content written or set in `files`, or null
+   */
+  readFile(file) {
+    return this.files.get(file) ?? null;
+  }
+
+  /**
+   * Record a file write, without touching the disk
+   * @param {string} file The path of the file
+   * @param {string} content The new content
+   * @returns {{ code: number, stdout: string, stderr: string }} A successful result
+   */
+  writeFile(file, content) {
+    this.writes.push({ file, content });
+    this.files.set(file, content);
+    return { code: 0, stdout: '', stderr: '' };
+  }
+
+  /**
+   * @returns {string} A placeholder, the `.git` directory only exists in memory
+   */
+  gitDir() {
+    return '.git';
+  }
+
+  /**
+   * @param {string} name The path, relative to the `.git` directory
+   * @returns {boolean} Whether `gitFiles` holds it, or a file below it
+   */
+  hasGitFile(name) {
+    return [...this.gitFiles.keys()].some((file) => file === name || file.startsWith(`${name}/`));
+  }
+
+  /**
+   * @param {string} name The path, relative to the `.git` directory
+   * @returns {string|null} The content, or null
+   */
+  readGitFile(name) {
+    return this.gitFiles.get(name) ?? null;
+  }
+
+  /**
+   * @param {string} name The path, relative to the `.git` directory
+   * @param {string} content The new content
+   * @returns {void}
+   */
+  writeGitFile(name, content) {
+    this.gitFiles.set(name, content);
+  }
+
+  /**
+   * @param {string} name The path, relative to the `.git` directory
+   * @param {string} content The content to append
+   * @returns {void}
+   */
+  appendGitFile(name, content) {
+    this.gitFiles.set(name, (this.gitFiles.get(name) ?? '') + content);
+  }
+
+  /**
+   * @param {string} name The path, relative to the `.git` directory
+   * @returns {void}
+   */
+  removeGitFile(name) {
+    this.gitFiles.delete(name);
+  }
+
+  /**
+   * Record a lifecycle hook, without running it
+   * @param {string} command The shell command
+   * @param {object} env The environment variables added for the hook
+   * @returns {{ code: number, stdout: string, stderr: string }} A successful result
+   */
+  runHook(command, env) {
+    this.hooks.push({ command, env });
+    return { code: 0, stdout: '', stderr: '' };
+  }
+
+  /**
+   * @returns {string[]} Every call, formatted as a command
+   */
+  commands() {
+    return this.calls.map((args) => GitExecutor.format(args));
+  }
+
+  static #matches(matcher, args) {
+    if (typeof matcher === 'function') return matcher(args);
+    if (matcher instanceof RegExp) return matcher.test(GitExecutor.format(args));
+    return matcher.every((arg, index) => args[index] === arg);
+  }
+}
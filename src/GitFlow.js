@@ -1,31 +1,51 @@
 import inquirer from 'inquirer';
-import shell from 'shelljs';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { ART } from './constants.js';
+import { GitExecutor } from './GitExecutor.js';
+import { parseCommits, renderChangelogSection, prependChangelog } from './changelog.js';
+import { createProvider, getProviderNames, parseRepositoryPath } from './PullRequestProvider.js';
+import {
+  GitFlowError,
+  InvalidConfigError,
+  ConfigNotFoundError,
+  InvalidArgumentError,
+  InvalidVersionError,
+  InvalidBranchNameError,
+  BranchExistsError,
+  BranchNotFoundError,
+  DirtyWorkingTreeError,
+  MergeConflictError,
+  CommandFailedError,
+  OperationStateError,
+  PullRequestError,
+} from './errors.js';
 import {
   messageWithBorder,
   bold,
   green,
   red,
   yellow,
-  exit,
-  exitWithError,
-  exitWithMessage,
   validateVersion,
+  slugify,
+  parseVersion,
+  compareVersions,
+  incrementVersion,
 } from './utils.js';
 
 /**
  * Git Flow
  * @class
- * @classdesc A class for managing Git Flow operations
+ * @classdesc A class for managing Git Flow operations. Operations return what they did, see `runCommands`,
+ * and failures throw a `GitFlowError` subclass, see `errors.js`; only the CLI exits the process.
  * @property {object} config - The Git Flow configuration, optionally passed to the constructor
  * @static {object} #defaultConfig - The default Git Flow configuration
- * @example const gitFlow = new GitFlow();
+ * @example const gitFlow = await GitFlow.create();
  * @example gitFlow.startFeature('new-feature');
  * @example gitFlow.finishFeature('new-feature');
  * @example gitFlow.startRelease('1.0.0');
- * @example gitFlow.finishRelease('1.0.0');
+ * @example const { merges, tags, pushed } = gitFlow.finishRelease('1.0.0');
  * @example gitFlow.startBugfix('fix-bug');
  * @example gitFlow.finishBugfix('fix-bug');
  * @example gitFlow.startHotfix('fix-hotfix');
@@ -40,19 +60,66 @@ class GitFlow {
     pushBranches: true,
     createBranches: true,
     debug: false,
+    changelogFile: 'CHANGELOG.md',
+    remote: 'origin',
+    remotes: {},
+    naming: {},
+    mergeMode: 'local',
+    pullRequests: {},
     prefixes: {
       feature: 'feature/',
       release: 'release/',
       bugfix: 'bugfix/',
       hotfix: 'hotfix/',
+      support: 'support/',
     },
   };
+  // Branch type definitions, `main`, `develop` and `staging` refer to the configured branches
+  static #branchTypeDefaults = {
+    base: 'develop',
+    mergeInto: ['develop'],
+    tag: false,
+    deleteAfterFinish: true,
+    versioned: false,
+    changelog: false,
+    fromSupport: false,
+    mergeStrategy: 'no-ff',
+    syncStrategy: 'merge',
+  };
+  static mergeStrategies = ['no-ff', 'ff', 'squash', 'rebase'];
+  static syncStrategies = ['merge', 'rebase'];
+  static hookNames = ['preStart', 'preFinish', 'postMerge', 'preTag', 'postFinish', 'prePush'];
+  static #builtInBranchTypes = {
+    feature: {},
+    bugfix: { mergeInto: ['develop', 'staging'] },
+    release: { mergeInto: ['main', 'develop', 'staging'], tag: true, versioned: true, changelog: true },
+    hotfix: { base: 'main', mergeInto: ['main', 'develop', 'staging'], tag: true, fromSupport: true },
+  };
   static configFileName = '.gitflow-config.json';
   static configFilePath = path.join(process.cwd(), GitFlow.configFileName);
+  static operationStateFileName = 'gitflow-operation.json';
+  static journalFileName = 'gitflow-journal.jsonl';
+  static cliPath = fileURLToPath(new URL('../index.js', import.meta.url));
   config;
+  options;
+  git;
   commands = [];
+  plannedBranch;
+  hookContext;
+  warnings = [];
 
-  constructor(config) {
+  /**
+   * @param {object} [config] The Git Flow configuration, loaded from the configuration file if omitted
+   * @param {object} [options] Runtime options
+   * @param {boolean} [options.dryRun] Print the planned commands instead of running them
+   * @param {boolean} [options.nonInteractive] Never prompt, e.g. to pick a branch; a missing answer is an error
+   * @param {GitExecutor} [options.executor] Runs the git commands, see `RecordingGitExecutor` for tests
+   * @throws {ConfigNotFoundError} If no configuration is given and the configuration file is missing
+   * @throws {InvalidConfigError} If the configuration is invalid
+   */
+  constructor(config, options = {}) {
+    this.options = options;
+    this.git = options.executor ?? new GitExecutor();
     if (config) {
       const mergedConfig = { ...GitFlow.#defaultConfig, ...config };
       GitFlow.validateConfig(mergedConfig);
@@ -71,50 +138,173 @@ class GitFlow {
   }
 
   /**
-   * Add a command to the queue
-   * @param {string} command The command to add
+   * Add a git command to the queue.
+   * Every step records the branch it runs on, and whether it touches the remote.
+   * @param {string[]} args The git arguments, e.g. `['checkout', '-b', name, from]`
+   * @returns {void}
+   */
+  addCommand(args) {
+    const branch = this.getPlannedBranch();
+    const remote = ['push', 'pull', 'fetch'].includes(args[0]);
+    this.commands.push({ args, branch, remote });
+
+    if (args[0] === 'checkout') this.plannedBranch = { '-b': args[2], '--detach': 'HEAD' }[args[1]] ?? args[1];
+    // `git rebase <upstream> <branch>` checks out the rebased branch
+    if (args[0] === 'rebase' && args.length === 3) this.plannedBranch = args[2];
+  }
+
+  /**
+   * Add a file write to the queue, the file is written to the working tree of the planned branch
+   * @param {string} file The path of the file, relative to the repository root
+   * @param {string} content The new content of the file
+   * @returns {void}
+   */
+  addFileWrite(file, content) {
+    this.commands.push({ write: { file, content }, branch: this.getPlannedBranch(), remote: false });
+  }
+
+  /**
+   * Format a queued step for display
+   * @param {object} step The step, see `addCommand` and `addFileWrite`
+   * @returns {string} The formatted step
+   */
+  static formatStep(step) {
+    if (step.write) return `write ${step.write.file}`;
+    if (step.hook) return `${step.hook.name}: ${step.hook.command}`;
+    return GitExecutor.format(step.args);
+  }
+
+  /**
+   * Add the commands of a lifecycle hook to the queue, from the `hooks` of the branch type of the operation.
+   * The hook runs in a shell, with `GITFLOW_HOOK`, `GITFLOW_TYPE`, `GITFLOW_BRANCH`, `GITFLOW_VERSION`
+   * and `GITFLOW_BASE` in its environment. A non-zero exit code fails the operation.
+   * `preStart` runs on the base branch, `preFinish` on the flow branch, `postMerge` on the target it merged into.
+   * Outside of a flow operation, no hook runs.
+   * @param {string} name The hook, one of `GitFlow.hookNames`
+   * @param {object} [env] More environment variables, e.g. `GITFLOW_TARGET` for `postMerge`
    * @returns {void}
    */
-  addCommand(command) {
-    this.commands.push(command);
+  addHook(name, env = {}) {
+    if (!this.hookContext) return;
+    const { type, branch, version, base } = this.hookContext;
+    const commands = [this.getBranchType(type).hooks?.[name] ?? []].flat();
+    for (const command of commands) {
+      const hookEnv = {
+        GITFLOW_HOOK: name,
+        GITFLOW_TYPE: type,
+        GITFLOW_BRANCH: branch,
+        GITFLOW_VERSION: version ?? '',
+        GITFLOW_BASE: base,
+        ...env,
+      };
+      this.commands.push({ hook: { name, command, env: hookEnv }, branch: this.getPlannedBranch(), remote: false });
+    }
+  }
+
+  /**
+   * Get the branch that will be checked out once the queued commands have run
+   * @returns {string} The name of the branch
+   */
+  getPlannedBranch() {
+    return this.plannedBranch ?? this.getCurrentBranchName();
   }
 
   /**
-   * @throws {Error} If the configuration file is missing or invalid
+   * Load the configuration file
    * @returns {object} The Git Flow configuration
+   * @throws {ConfigNotFoundError} If the configuration file is missing, run `gitflow init` first
+   * @throws {InvalidConfigError} If the configuration file is invalid
    */
-  async loadConfig() {
+  loadConfig() {
     if (!fs.existsSync(GitFlow.configFilePath)) {
-      const { runInit } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'runInit',
-          message: "No Git Flow configuration found. Do you want to run 'gitflow init'?",
-          default: false,
-        },
-      ]);
-      if (!runInit) {
-        exitWithMessage("Run 'gitflow init' first.");
-        return;
-      }
-      await this.init();
+      throw new ConfigNotFoundError("No Git Flow configuration found. Run 'gitflow init' first.");
+    }
+    const config = GitFlow.parseConfig(fs.readFileSync(GitFlow.configFilePath, 'utf8'));
+    const mergedConfig = { ...GitFlow.#defaultConfig, ...config };
+    GitFlow.validateConfig(mergedConfig);
+    this.config = mergedConfig;
+    return this.config;
+  }
+
+  /**
+   * Create a Git Flow instance, reading the configuration file without blocking when no configuration is given
+   * @param {object} [config] The Git Flow configuration, loaded from the configuration file if omitted
+   * @param {object} [options] Runtime options, see the constructor
+   * @returns {Promise<GitFlow>} The instance
+   * @throws {ConfigNotFoundError} If the configuration file is missing, run `gitflow init` first
+   * @throws {InvalidConfigError} If the configuration is invalid
+   * @example const gitFlow = await GitFlow.create(undefined, { dryRun: true });
+   */
+  static async create(config, options = {}) {
+    if (config) return new GitFlow(config, options);
+    let content;
+    try {
+      content = await fs.promises.readFile(GitFlow.configFilePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new ConfigNotFoundError("No Git Flow configuration found. Run 'gitflow init' first.");
     }
+    return new GitFlow(GitFlow.parseConfig(content), options);
+  }
+
+  /**
+   * @param {string} content The content of the configuration file
+   * @returns {object} The configuration
+   * @throws {InvalidConfigError} If the content is not a JSON object
+   */
+  static parseConfig(content) {
+    let config;
     try {
-      const config = JSON.parse(fs.readFileSync(GitFlow.configFilePath, 'utf8'));
-      const mergedConfig = { ...GitFlow.#defaultConfig, ...config };
-      GitFlow.validateConfig(mergedConfig);
+      config = JSON.parse(content);
+    } catch (error) {
+      config = null;
+    }
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+      throw new InvalidConfigError("Invalid Git Flow configuration file. Please delete and re-run 'gitflow init'.");
+    }
+    return config;
+  }
 
-      this.config = mergedConfig;
+  /**
+   * Resolve the branch types of a configuration: the built-in types, overridden and extended by `branchTypes`.
+   * The prefix of a type defaults to its entry in `prefixes`.
+   * @param {object} config The Git Flow configuration
+   * @returns {object} The branch type definitions, by type
+   */
+  static resolveBranchTypes(config) {
+    const custom = config.branchTypes ?? {};
+    const types = {};
+    for (const type of new Set([...Object.keys(GitFlow.#builtInBranchTypes), ...Object.keys(custom)])) {
+      types[type] = {
+        ...GitFlow.#branchTypeDefaults,
+        prefix: config.prefixes?.[type],
+        ...GitFlow.#builtInBranchTypes[type],
+        ...custom[type],
+      };
+    }
+    return types;
+  }
+
+  /**
+   * Read the branch types from the configuration file without prompting, e.g. to register the CLI commands.
+   * Falls back to the built-in types when the file is missing or unreadable.
+   * @returns {object} The branch type definitions, by type
+   */
+  static loadBranchTypes() {
+    let config = {};
+    try {
+      if (fs.existsSync(GitFlow.configFilePath)) config = JSON.parse(fs.readFileSync(GitFlow.configFilePath, 'utf8'));
     } catch (error) {
-      exitWithError("Invalid Git Flow configuration file. Please delete and re-run 'gitflow init'.");
+      // The configuration is validated again when a command runs
     }
+    return GitFlow.resolveBranchTypes({ ...GitFlow.#defaultConfig, ...config });
   }
 
   // 🔹 Validations
   /**
    * Validate configuration object
    * @param {object} config Configuration to validate
-   * @throws {Error} If configuration is invalid
+   * @throws {InvalidConfigError} If configuration is invalid
    * @returns {boolean} True if configuration is valid
    */
   static validateConfig(config) {
@@ -122,29 +312,183 @@ class GitFlow {
     const requiredFields = ['mainBranch', 'developBranch', 'prefixes'];
     for (const field of requiredFields) {
       if (!config[field]) {
-        exitWithError(`Missing required configuration field: ${field}`);
+        throw new InvalidConfigError(`Missing required configuration field: ${field}`);
       }
     }
 
     // Branch name validations
-    GitFlow.isValidBranchName(config.mainBranch);
-    GitFlow.isValidBranchName(config.developBranch);
-    if (config.useStaging) GitFlow.isValidBranchName(config.stagingBranch);
+    const checkBranchName = (branchName, field) => {
+      try {
+        GitFlow.isValidBranchName(branchName);
+      } catch (error) {
+        throw new InvalidConfigError(`Invalid value for '${field}'. ${error.message}`);
+      }
+    };
+    checkBranchName(config.mainBranch, 'mainBranch');
+    checkBranchName(config.developBranch, 'developBranch');
+    if (config.useStaging) checkBranchName(config.stagingBranch, 'stagingBranch');
 
     // Prefix validations
     const requiredPrefixes = ['feature', 'release', 'bugfix', 'hotfix'];
     for (const prefix of requiredPrefixes) {
       if (!config.prefixes[prefix]) {
-        exitWithError(`Missing required prefix: ${prefix}`);
+        throw new InvalidConfigError(`Missing required prefix: ${prefix}`);
+      }
+      checkBranchName(config.prefixes[prefix], `prefixes.${prefix}`);
+    }
+    if (config.prefixes.support) checkBranchName(config.prefixes.support, 'prefixes.support');
+
+    // Branch type validations
+    if (config.branchTypes && (typeof config.branchTypes !== 'object' || Array.isArray(config.branchTypes))) {
+      throw new InvalidConfigError(`Invalid value for 'branchTypes'. Must be an object of branch types.`);
+    }
+    for (const [type, definition] of Object.entries(GitFlow.resolveBranchTypes(config))) {
+      if (!/^[a-z][a-z0-9-]*$/.test(type)) {
+        throw new InvalidConfigError(`Invalid branch type '${type}'. Use lowercase letters, numbers and hyphens.`);
+      }
+      if (type === 'support') {
+        throw new InvalidConfigError(`Invalid branch type 'support'. Support branches are built in.`);
+      }
+      if (!definition.prefix) throw new InvalidConfigError(`Missing prefix for branch type: ${type}`);
+      checkBranchName(definition.prefix, `branchTypes.${type}.prefix`);
+      if (typeof definition.base !== 'string' || !definition.base) {
+        throw new InvalidConfigError(`Invalid value for 'branchTypes.${type}.base'. Must be a branch.`);
       }
-      GitFlow.isValidBranchName(config.prefixes[prefix]);
+      const { mergeInto } = definition;
+      if (!Array.isArray(mergeInto) || mergeInto.length === 0 || !mergeInto.every((b) => typeof b === 'string')) {
+        throw new InvalidConfigError(`Invalid value for 'branchTypes.${type}.mergeInto'. Must be a list of branches.`);
+      }
+      for (const field of ['tag', 'deleteAfterFinish', 'versioned', 'changelog', 'fromSupport']) {
+        if (typeof definition[field] !== 'boolean') {
+          throw new InvalidConfigError(`Invalid value for 'branchTypes.${type}.${field}'. Must be a boolean.`);
+        }
+      }
+      if (definition.hooks !== undefined) {
+        if (typeof definition.hooks !== 'object' || definition.hooks === null || Array.isArray(definition.hooks)) {
+          throw new InvalidConfigError(`Invalid value for 'branchTypes.${type}.hooks'. Must be an object of hooks.`);
+        }
+        for (const [hook, commands] of Object.entries(definition.hooks)) {
+          if (!GitFlow.hookNames.includes(hook)) {
+            throw new InvalidConfigError(
+              `Invalid hook 'branchTypes.${type}.hooks.${hook}'. Use one of: ${GitFlow.hookNames.join(', ')}.`
+            );
+          }
+          if (![commands].flat().every((command) => typeof command === 'string' && command.trim())) {
+            throw new InvalidConfigError(
+              `Invalid value for 'branchTypes.${type}.hooks.${hook}'. Must be a command or a list of commands.`
+            );
+          }
+        }
+      }
+      if (definition.ticketPattern !== undefined) {
+        try {
+          if (typeof definition.ticketPattern !== 'string') throw new Error();
+          new RegExp(definition.ticketPattern);
+        } catch (error) {
+          throw new InvalidConfigError(
+            `Invalid value for 'branchTypes.${type}.ticketPattern'. Must be a regular expression.`
+          );
+        }
+      }
+      const { mergeStrategy } = definition;
+      const strategies =
+        typeof mergeStrategy === 'object' && mergeStrategy !== null ? mergeStrategy : { '': mergeStrategy };
+      for (const [target, strategy] of Object.entries(strategies)) {
+        if (!GitFlow.mergeStrategies.includes(strategy)) {
+          throw new InvalidConfigError(
+            `Invalid value for 'branchTypes.${type}.mergeStrategy${target ? `.${target}` : ''}'. ` +
+              `Use one of: ${GitFlow.mergeStrategies.join(', ')}.`
+          );
+        }
+      }
+      if (!GitFlow.syncStrategies.includes(definition.syncStrategy)) {
+        throw new InvalidConfigError(
+          `Invalid value for 'branchTypes.${type}.syncStrategy'. Use one of: ${GitFlow.syncStrategies.join(', ')}.`
+        );
+      }
+    }
+
+    // Remote validations
+    if (typeof config.remote !== 'string' || !/^[\w.-]+$/.test(config.remote)) {
+      throw new InvalidConfigError(`Invalid value for 'remote'. Must be the name of a git remote.`);
+    }
+    const remoteKeys = [
+      'main',
+      'develop',
+      'staging',
+      'support',
+      'tags',
+      ...Object.keys(GitFlow.resolveBranchTypes(config)),
+    ];
+    for (const [key, remote] of Object.entries(config.remotes ?? {})) {
+      if (!remoteKeys.includes(key)) {
+        throw new InvalidConfigError(`Invalid key 'remotes.${key}'. Use one of: ${remoteKeys.join(', ')}.`);
+      }
+      if (typeof remote !== 'string' || !/^[\w.-]+$/.test(remote)) {
+        throw new InvalidConfigError(`Invalid value for 'remotes.${key}'. Must be the name of a git remote.`);
+      }
+    }
+
+    // Pull request validations
+    if (!['local', 'pull-request'].includes(config.mergeMode ?? 'local')) {
+      throw new InvalidConfigError(`Invalid value for 'mergeMode'. Use one of: local, pull-request.`);
+    }
+    const pullRequests = config.pullRequests ?? {};
+    if (typeof pullRequests !== 'object' || pullRequests === null || Array.isArray(pullRequests)) {
+      throw new InvalidConfigError(`Invalid value for 'pullRequests'. Must be an object.`);
+    }
+    if (pullRequests.provider !== undefined && !getProviderNames().includes(pullRequests.provider)) {
+      throw new InvalidConfigError(
+        `Invalid value for 'pullRequests.provider'. Use one of: ${getProviderNames().join(', ')}.`
+      );
+    }
+    for (const field of ['apiUrl', 'repository', 'tokenEnv']) {
+      if (pullRequests[field] !== undefined && (typeof pullRequests[field] !== 'string' || !pullRequests[field])) {
+        throw new InvalidConfigError(`Invalid value for 'pullRequests.${field}'. Must be a string.`);
+      }
+    }
+    for (const field of ['pollInterval', 'waitTimeout']) {
+      if (pullRequests[field] !== undefined && !(pullRequests[field] > 0)) {
+        throw new InvalidConfigError(`Invalid value for 'pullRequests.${field}'. Must be a number of seconds.`);
+      }
+    }
+
+    // Naming policy validations
+    const naming = config.naming ?? {};
+    if (typeof naming !== 'object' || naming === null || Array.isArray(naming)) {
+      throw new InvalidConfigError(`Invalid value for 'naming'. Must be an object.`);
+    }
+    if (naming.pattern !== undefined) {
+      try {
+        if (typeof naming.pattern !== 'string') throw new Error();
+        new RegExp(naming.pattern);
+      } catch (error) {
+        throw new InvalidConfigError(`Invalid value for 'naming.pattern'. Must be a regular expression.`);
+      }
+    }
+    if (naming.maxLength !== undefined && !(Number.isInteger(naming.maxLength) && naming.maxLength > 0)) {
+      throw new InvalidConfigError(`Invalid value for 'naming.maxLength'. Must be a positive integer.`);
+    }
+    const { forbiddenWords } = naming;
+    const isWordList = Array.isArray(forbiddenWords) && forbiddenWords.every((word) => typeof word === 'string');
+    if (forbiddenWords !== undefined && !isWordList) {
+      throw new InvalidConfigError(`Invalid value for 'naming.forbiddenWords'. Must be a list of words.`);
+    }
+    if (naming.case !== undefined && !['lower', 'upper', 'any'].includes(naming.case)) {
+      throw new InvalidConfigError(`Invalid value for 'naming.case'. Use one of: lower, upper, any.`);
+    }
+
+    if (config.changelogFile && typeof config.changelogFile !== 'string') {
+      throw new InvalidConfigError(
+        `Invalid value for 'changelogFile'. Must be a file path, or false to disable the changelog.`
+      );
     }
 
     // Boolean validations
     const booleanFields = ['useStaging', 'pushBranches', 'createBranches', 'debug'];
     for (const field of booleanFields) {
       if (field in config && typeof config[field] !== 'boolean') {
-        exitWithError(`Invalid value for '${field}'. Must be a boolean.`);
+        throw new InvalidConfigError(`Invalid value for '${field}'. Must be a boolean.`);
       }
     }
 
@@ -152,585 +496,2229 @@ class GitFlow {
   }
 
   /**
-   * Checks if the given version string is in the `X.Y.Z` format.
+   * Checks if the given version string follows SemVer 2.0, e.g. `1.4.0` or `2.0.0-rc.1+build.7`.
    *
-   * @param {*} version
-   * @returns {boolean} Whether the version is valid
+   * @param {string|string[]} version
+   * @returns {string} The valid version
+   * @throws {InvalidVersionError} If the version is invalid
    */
   isValidVersion(version) {
-    if (version?.length > 1) exitWithError(`Branch name '${version.join(' ')}' cannot contain spaces.`);
-    if (!validateVersion(version[0])) exitWithError(`'${version}' is not a valid version number`);
-    return version[0];
+    const values = Array.isArray(version) ? version : [version];
+    if (values.length > 1) throw new InvalidVersionError(`Version '${values.join(' ')}' cannot contain spaces.`);
+    if (!validateVersion(values[0])) throw new InvalidVersionError(`'${values[0]}' is not a valid version number`);
+    return values[0];
   }
 
   /**
    * Validate branch name
    * @param {string} branchName The branch name to validate
-   * @returns {boolean} Whether the branch name is valid
+   * @returns {string} The valid branch name
+   * @throws {InvalidBranchNameError} If the branch name is invalid
    */
   static isValidBranchName(branchName) {
     // Check for spaces
     const isArray = Array.isArray(branchName);
     if (isArray && branchName?.length > 1) {
-      exitWithError(`Branch name '${branchName.join(' ')}' cannot contain spaces.`);
+      throw new InvalidBranchNameError(
+        `Branch name '${branchName.join(' ')}' cannot contain spaces. Try '${slugify(branchName)}'.`
+      );
     }
     branchName = isArray ? branchName[0] : branchName;
     const invalidChars = /[^a-zA-Z0-9-_./]/;
     const isValid = !invalidChars.test(branchName);
     if (!isValid) {
-      exitWithError(`Invalid branch name '${branchName}'. Use only letters, numbers, hyphens and underscores.`);
+      const suggestion = slugify(branchName);
+      throw new InvalidBranchNameError(
+        `Invalid branch name '${branchName}'. Use only letters, numbers, hyphens and underscores.` +
+          (suggestion ? ` Try '${suggestion}'.` : '')
+      );
     }
     return branchName;
   }
 
   // 🔹 Command execution
   /**
-   * Run the commands in the queue
+   * Run the commands in the queue as a single transaction.
+   * If a command fails, every local branch and tag is restored to its state before
+   * the first command, and the original branch is checked out again.
+   * A merge conflict pauses the operation instead, see `continueOperation` and `abortOperation`.
+   * In dry-run mode, the plan is printed and nothing is run.
+   * The result also lists the refs the operation moved, with their SHAs before and after, and the warnings.
+   * Every operation that ends is recorded in the journal, see `readJournal`.
    *
-   * @throws {Error} If a command fails
-   * @returns {void}
+   * @param {object} operation The flow operation the commands belong to
+   * @param {string} operation.type The operation type, e.g. `release:finish`
+   * @param {string} [operation.branch] The flow branch of the operation
+   * @param {string} [operation.version] The version of the operation
+   * @returns {object} What the operation did, or would do in dry-run mode, see `summarizeSteps`
+   * @throws {OperationStateError} If another operation is paused
+   * @throws {MergeConflictError} If a merge stops on conflicts, the operation is then paused
+   * @throws {CommandFailedError} If a command or a hook fails, the operation is then rolled back
    */
-  runCommands() {
-    try {
-      console.info(`Running commands...🚀`);
-      // console.info(green('Commands:'), this.commands);
-
-      if (this.config.debug) {
-        console.error('Debug mode enabled, do not run commands');
-        exit();
-      }
+  runCommands(operation) {
+    const commands = this.commands;
+    this.commands = [];
+    this.plannedBranch = undefined;
+    if (this.options.dryRun) {
+      this.printPlan(commands);
+      return { operation, dryRun: true, ...GitFlow.summarizeSteps(commands), refs: [], warnings: this.warnings };
+    }
 
-      for (const command of this.commands) {
-        if (this.config.debug) console.info('command: ', command);
+    console.info(`Running commands...🚀`);
+    const inProgress = this.loadOperationState();
+    if (inProgress) {
+      throw new OperationStateError(
+        `A ${inProgress.operation.type} operation is in progress. Run 'gitflow continue' or 'gitflow abort' first.`
+      );
+    }
 
-        const result = shell.exec(command, { silent: true });
-        if (this.config.debug) console.info('result: ', result);
+    const snapshot = this.snapshotRefs();
+    const startedAt = new Date().toISOString();
+    const refs = this.executeCommands({ operation, startedAt, snapshot, pushed: [], executed: [], commands });
+    return { operation, dryRun: false, ...GitFlow.summarizeSteps(commands), refs, warnings: this.warnings };
+  }
 
-        if (result.code !== 0) {
-          exitWithError(`${result.stderr === '' ? result.stdout : result.stderr}`);
-        }
-      }
-      return;
-    } catch (error) {
-      console.error(error?.message || error);
-    }
+  /**
+   * Start a new operation with an empty queue, dropping the steps of an operation that failed before running
+   * @returns {void}
+   */
+  resetQueue() {
+    this.commands = [];
+    this.plannedBranch = undefined;
+    this.hookContext = undefined;
+    this.warnings = [];
   }
 
-  // 🔹 Branch management
   /**
-   * @returns {string} The name of the current branch
+   * Print a warning, and add it to the result of the operation
+   * @param {string} message The warning
+   * @returns {void}
    */
-  getCurrentBranchName() {
-    const { stdout } = shell.exec('git branch --show-current', { silent: true });
-    return stdout.trim();
+  warn(message) {
+    console.info(red(message));
+    this.warnings.push(message);
   }
 
   /**
-   * Check if a branch exists locally
+   * Summarize queued steps for the result of an operation
    *
-   * @param {string} branch The name of the branch to check
-   * @returns {boolean} Whether the branch exists
+   * @param {object[]} steps The steps, see `addCommand`
+   * @returns {{ commands: string[], branches: string[], created: string[], deleted: string[], merges: object[],
+   * tags: string[], pushed: object[] }} The formatted commands, the branches they run on, the branches created
+   * and deleted, the merges as `{ source, target, strategy }`, the tags, and the refs pushed as
+   * `{ remote, ref, deleted }`
    */
-  branchExistsLocal(branch) {
-    return shell.exec(`git rev-parse --verify ${branch}`, { silent: true }).code === 0;
+  static summarizeSteps(steps) {
+    const summary = { commands: [], branches: [], created: [], deleted: [], merges: [], tags: [], pushed: [] };
+    let rebased;
+    for (const step of steps) {
+      summary.commands.push(GitFlow.formatStep(step));
+      if (step.branch) summary.branches.push(step.branch);
+      const args = step.args ?? [];
+      if (args[0] === 'checkout' && args[1] === '-b') summary.created.push(args[2]);
+      if (args[0] === 'branch' && ['-d', '-D'].includes(args[1])) summary.deleted.push(args[2]);
+      if (args[0] === 'tag') summary.tags.push(args[2]);
+      if (args[0] === 'rebase') rebased = args[2];
+      if (args[0] === 'merge' && args[1] !== '--abort') {
+        const source = args.at(-1);
+        let strategy = 'no-ff';
+        if (args.includes('--squash')) strategy = 'squash';
+        else if (args.includes('--ff-only')) strategy = rebased === source ? 'rebase' : 'ff';
+        summary.merges.push({ source, target: step.branch, strategy });
+      }
+      if (args[0] === 'push') {
+        const [remote, ref] = args.slice(1).filter((arg) => !arg.startsWith('-'));
+        summary.pushed.push({ remote, ref, deleted: args.includes('--delete') });
+      }
+    }
+    summary.branches = [...new Set([...summary.branches, ...summary.created])];
+    return summary;
   }
 
   /**
-   * Check if a branch exists on the remote repository
-   * @param {string} branch The name of the branch to check
-   * @returns {boolean} Whether the branch exists on the remote repository
+   * Execute the commands of an operation.
+   * On a merge conflict, the remaining commands are saved so the operation can be continued later.
+   * On any other failure, the operation is rolled back.
+   *
+   * @param {object} state The operation state
+   * @param {object} state.operation The flow operation
+   * @param {string} state.startedAt When the operation started, as an ISO date
+   * @param {object} state.snapshot The refs before the operation, taken by `snapshotRefs`
+   * @param {string[]} state.pushed The push commands that already succeeded
+   * @param {object[]} state.executed The commands already run, as `{ command, code }`
+   * @param {object[]} state.commands The steps to execute, see `addCommand` and `addFileWrite`
+   * @returns {object[]} The refs the operation moved, see `diffSnapshot`
+   * @throws {MergeConflictError} If a merge stops on conflicts
+   * @throws {CommandFailedError} If a command or a hook fails
    */
-  branchExistsRemote(branch) {
-    return shell.exec(`git ls-remote --heads origin ${branch}`, { silent: true }).stdout !== '';
+  executeCommands(state) {
+    const { commands, snapshot, pushed } = state;
+    state.executed ??= [];
+
+    for (const [index, step] of commands.entries()) {
+      const { args, write, hook } = step;
+      const command = GitFlow.formatStep(step);
+      if (this.config.debug) console.info('command: ', command);
+
+      let result;
+      if (write) result = this.git.writeFile(write.file, write.content);
+      else if (hook) result = this.git.runHook(hook.command, hook.env);
+      else result = this.git.run(args);
+      if (this.config.debug) console.info('result: ', result);
+      state.executed.push({ command, code: result.code });
+
+      if (result.code !== 0) {
+        if (['merge', 'rebase'].includes(args?.[0]) && this.checkMergeConflicts()) {
+          const stoppedAt = { command, branch: this.getCurrentBranchName() };
+          const remaining = commands.slice(index + 1);
+          this.saveOperationState({ ...state, stoppedAt, commands: remaining });
+          if (args[0] === 'rebase') console.info(`Resolve the conflicts and run 'git rebase --continue', then run:`);
+          else if (args[1] === '--squash') console.info(`Resolve the conflicts and stage the result, then run:`);
+          else console.info(`Resolve the conflicts and commit the result, then run:`);
+          console.info(`   gitflow continue`);
+          console.info(`To undo the whole operation, run:`);
+          console.info(`   gitflow abort`);
+          throw new MergeConflictError(`${state.operation.type} is paused by merge conflicts.`, {
+            operation: state.operation,
+            stoppedAt,
+            conflicts: this.getMergeConflicts(),
+            remaining: remaining.map((remainingStep) => GitFlow.formatStep(remainingStep)),
+          });
+        }
+
+        const output = result.stderr === '' ? result.stdout : result.stderr;
+        console.error(red(`${hook ? 'Hook' : 'Command'} failed: ${command}`));
+        console.error(output);
+        const refs = this.diffSnapshot(snapshot);
+        const rolledBack = this.rollback(snapshot, pushed);
+        this.clearOperationState();
+        this.appendJournal(state, rolledBack ? 'rolled-back' : 'failed', refs);
+        const message = rolledBack
+          ? 'The operation was rolled back.'
+          : 'The operation failed, and some refs could not be restored.';
+        throw new CommandFailedError(message, { command, output, rolledBack, pushed });
+      }
+
+      if (args?.[0] === 'push') pushed.push(command);
+    }
+    this.clearOperationState();
+    const refs = this.diffSnapshot(snapshot);
+    this.appendJournal(state, 'completed', refs);
+    return refs;
   }
 
   /**
-   * Check diff between two branches
-   * @param {string} branch1 The first branch
-   * @param {string} branch2 The second branch
+   * Print the ordered plan of commands
+   *
+   * @param {object[]} commands The steps to print, see `addCommand`
    * @returns {void}
-   * @throws {Error} If the diff fails
    */
-  checkDiff(branch1, branch2) {
-    console.info(`Check diff between ${green(branch1)} and ${green(branch2)}`);
-    this.addCommand(`git diff ${branch1}..${branch2}`);
+  printPlan(commands) {
+    console.info(`\n${bold('Plan')} (dry run, nothing is changed):`);
+    if (commands.length === 0) console.info('  Nothing to do.');
+    const formatted = commands.map((step) => GitFlow.formatStep(step));
+    const width = Math.max(0, ...formatted.map((command) => command.length));
+    for (const [index, { branch, remote }] of commands.entries()) {
+      const command = formatted[index];
+      const step = `${index + 1}.`.padStart(4);
+      console.info(`${step} ${command.padEnd(width)}  on ${green(branch || 'HEAD')}${remote ? ` ${yellow('[remote]')}` : ''}`);
+    }
   }
 
+  // 🔹 Resumable operations
   /**
-   * Check if two branches have the same commit hash
-   * @param {string} branch1 The first branch
-   * @param {string} branch2 The second branch
-   * @returns {boolean} Whether the branches have the same commit hash
-   * @throws {Error} If the command fails
+   * @returns {string} The path of the file holding the paused operation
    */
-  branchesMatch(branch1, branch2) {
-    const branch1Hash = shell.exec(`git rev-parse ${branch1}`, { silent: true }).stdout.trim();
-    const branch2Hash = shell.exec(`git rev-parse ${branch2}`, { silent: true }).stdout.trim();
-    return branch1Hash === branch2Hash;
+  getOperationStatePath() {
+    return path.join(this.getGitDir(), GitFlow.operationStateFileName);
   }
 
   /**
-   * Compare two branches and determine how many commits branch1 is ahead
-   * or behind branch2.
+   * Load the paused operation
    *
-   * @param {string} branch1 The branch to compare.
-   * @param {string} branch2 The branch to compare against.
-   * @returns {object} An object with properties "ahead" and "behind".
+   * @returns {object|null} The operation state, or null if no operation is in progress
    */
-  compareBranches(branch1, branch2) {
-    const { stdout, stderr } = shell.exec(`git rev-list --left-right --count ${branch1}...${branch2}`, {
-      silent: true,
-    });
-    if (stderr) exitWithError(stderr);
-    const counts = stdout.trim().split('\t');
-    const ahead = parseInt(counts[0], 10);
-    const behind = parseInt(counts[1], 10);
-    return { ahead, behind };
+  loadOperationState() {
+    const content = this.git.readGitFile(GitFlow.operationStateFileName);
+    if (content === null) return null;
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const statePath = this.getOperationStatePath();
+      throw new OperationStateError(`Invalid operation state in ${statePath}. Delete it to start over.`);
+    }
   }
 
   /**
-   * Check if there are merge conflicts in the working directory.
+   * Save a paused operation
    *
-   * @returns {boolean} True if merge conflicts exist, otherwise false.
+   * @param {object} state The operation state
+   * @returns {void}
    */
-  checkMergeConflicts() {
-    const { stdout, stderr } = shell.exec('git diff --name-only --diff-filter=U', { silent: true });
-    if (stderr) {
-      exitWithError(stderr);
-    }
-    const conflicts = stdout
-      .trim()
-      .split('\n')
-      .filter((file) => file);
-
-    if (conflicts.length > 0) {
-      console.error(`${red(`Merge conflicts detected in:`)}\n${conflicts.join(',\n')}\n`);
-      return true;
-    }
-    return false;
+  saveOperationState(state) {
+    this.git.writeGitFile(GitFlow.operationStateFileName, JSON.stringify(state, null, 2));
   }
 
   /**
-   * Add git tag
-   * @param {string} version The version number for the release
+   * Remove the paused operation, if any
+   *
    * @returns {void}
-   * @throws {Error} If the version number is invalid
    */
-  addTag(version) {
-    console.info(`Add tag ${yellow(version)}`);
-    this.addCommand(`git tag -a v${version} -m "v${version}"`);
+  clearOperationState() {
+    this.git.removeGitFile(GitFlow.operationStateFileName);
   }
 
   /**
-   * Checks if the working directory is clean (no uncommitted changes).
-   * @returns {boolean} True if clean; otherwise, exits with an error.
+   * Continue a paused operation after the merge conflicts are resolved and committed
+   *
+   * @returns {object} What the rest of the operation did, see `runCommands`
+   * @throws {OperationStateError} If no operation is paused
+   * @throws {MergeConflictError} If the merge is not finished yet, or the next merge stops on conflicts
    */
-  checkWorkingTreeClean() {
-    const result = shell.exec('git status --porcelain', { silent: true });
-    if (result.stdout.trim() !== '') {
-      exitWithError('Uncommitted changes exist. Please commit or stash your changes before switching branches.');
+  continueOperation() {
+    const state = this.loadOperationState();
+    if (!state) throw new OperationStateError('No operation in progress.');
+    if (this.isMerging() || this.isRebasing() || this.checkMergeConflicts()) {
+      throw new MergeConflictError(
+        'The merge is not finished yet. Resolve the conflicts and commit the result first.',
+        { operation: state.operation, conflicts: this.getMergeConflicts() }
+      );
     }
-    return true;
+    // A squash merge resolved and committed by hand leaves nothing for the planned squash commit
+    const [next] = state.commands;
+    if (state.stoppedAt?.command.startsWith('git merge --squash') && next?.args?.[0] === 'commit') {
+      if (this.git.run(['diff', '--cached', '--quiet']).code === 0) state.commands = state.commands.slice(1);
+    }
+
+    const summary = GitFlow.summarizeSteps(state.commands);
+    if (this.options.dryRun) {
+      this.printPlan(state.commands);
+      return { operation: state.operation, dryRun: true, ...summary, refs: [], warnings: this.warnings };
+    }
+
+    const { type, branch } = state.operation;
+    messageWithBorder(`🚀 Continuing ${type}${branch ? ` ${branch}` : ''}`);
+    const refs = this.executeCommands(state);
+    console.info(`\n💚 ${bold('Done')}\n`);
+    return { operation: state.operation, dryRun: false, ...summary, refs, warnings: this.warnings };
   }
 
   /**
-   * Checkout a branch
+   * Abort a paused operation, and restore the refs to their state before the operation
    *
-   * @param {*} branch
+   * @returns {{ operation: object, dryRun: boolean, commands?: string[] }} The aborted operation, and the
+   * commands restoring the refs in dry-run mode
+   * @throws {OperationStateError} If no operation is paused
+   * @throws {CommandFailedError} If some refs could not be restored
    */
-  checkoutBranch(branch) {
-    const currentBranch = this.getCurrentBranchName();
-    if (currentBranch === branch) return;
-    if (!this.branchExistsLocal(branch)) {
-      exitWithError(`${branch} does not exist`);
+  abortOperation() {
+    const state = this.loadOperationState();
+    if (!state) throw new OperationStateError('No operation in progress.');
+
+    if (this.options.dryRun) {
+      const branch = this.getCurrentBranchName();
+      const commands = [
+        ...(this.isMerging() ? [['merge', '--abort']] : []),
+        ...(this.isRebasing() ? [['rebase', '--abort']] : []),
+        ...(this.isSquashing() ? [['reset', '--merge']] : []),
+        ['checkout', '--detach'],
+        ...this.diffSnapshot(state.snapshot).map(({ ref, before }) =>
+          before ? ['update-ref', ref, before] : ['update-ref', '-d', ref]
+        ),
+        ['checkout', state.snapshot.branch || state.snapshot.head],
+      ];
+      const steps = commands.map((args) => ({ args, branch, remote: false }));
+      this.printPlan(steps);
+      return { operation: state.operation, dryRun: true, commands: steps.map((step) => GitFlow.formatStep(step)) };
     }
-    this.checkWorkingTreeClean();
-    if (this.config.debug) console.info(`Checkout to ${green(branch)} branch`);
-    this.addCommand(`git checkout ${branch}`);
-    this.addCommand(`git pull`);
+
+    const refs = this.diffSnapshot(state.snapshot);
+    const restored = this.rollback(state.snapshot, state.pushed);
+    this.clearOperationState();
+    this.appendJournal(state, 'aborted', refs);
+    if (!restored) {
+      throw new CommandFailedError('The operation was aborted, but some refs could not be restored.', {
+        rolledBack: false,
+        pushed: state.pushed,
+      });
+    }
+    messageWithBorder(`🚫 ${state.operation.type} aborted`);
+    return { operation: state.operation, dryRun: false };
   }
 
+  // 🔹 Operation journal
   /**
-   * Checkout to the main branch
-   * @returns {void}
+   * @returns {string} The path of the journal, holding one JSON record per operation and line
    */
-  checkoutToMain() {
-    if (!this.config.mainBranch) exitWithError('Main branch is not found in the configuration');
-    if (this.config.mainBranch === this.getCurrentBranchName()) return;
-    this.checkoutBranch(this.config.mainBranch);
+  getJournalPath() {
+    return path.join(this.getGitDir(), GitFlow.journalFileName);
   }
 
   /**
-   * Checkout to the develop branch
-   * @returns {void}
+   * Append the record of an operation that ended to the journal.
+   * A journal that cannot be written is a warning, the operation itself is done.
+   *
+   * @param {object} state The operation state, see `executeCommands`
+   * @param {'completed'|'rolled-back'|'failed'|'aborted'} status How the operation ended
+   * @param {object[]} refs The refs the operation moved, see `diffSnapshot`
+   * @returns {object|null} The record, or null if the journal could not be written
    */
-  checkoutToDevelop() {
-    if (!this.config.developBranch) exitWithError('Develop branch is not found in the configuration');
-    const currentBranch = this.getCurrentBranchName();
-    if (this.config.developBranch === currentBranch) return;
-    this.checkoutBranch(this.config.developBranch);
+  appendJournal(state, status, refs) {
+    const { type, branch = null, version = null, ...details } = state.operation;
+    const gitConfig = (key) => this.git.run(['config', key]).stdout.trim() || null;
+    // The support branches of the flow branches the operation touched, to restore them on undo
+    const bases = Object.fromEntries(
+      refs
+        .filter(({ ref }) => this.getSnapshotBase(state.snapshot, ref))
+        .map(({ ref }) => [ref.slice('refs/heads/'.length), this.getSnapshotBase(state.snapshot, ref)])
+    );
+    try {
+      const previous = this.git.readGitFile(GitFlow.journalFileName) ?? '';
+      const record = {
+        id: previous.split('\n').filter(Boolean).length + 1,
+        type,
+        branch,
+        version,
+        status,
+        ...details,
+        user: { name: gitConfig('user.name'), email: gitConfig('user.email') },
+        head: state.snapshot.branch || null,
+        startedAt: state.startedAt ?? null,
+        finishedAt: new Date().toISOString(),
+        commands: state.executed ?? [],
+        refs,
+        bases,
+        pushed: state.pushed,
+      };
+      this.git.appendGitFile(GitFlow.journalFileName, `${JSON.stringify(record)}\n`);
+      return record;
+    } catch (error) {
+      this.warn(`The operation could not be recorded in the journal: ${error.message}`);
+      return null;
+    }
   }
 
   /**
-   * Checkout to the staging branch
-   * @returns {void}
+   * Read the records of the journal, most recent first
+   *
+   * @param {object} [filters]
+   * @param {string} [filters.type] Only the operations of a type, e.g. `release:finish`, or of a branch type,
+   * e.g. `release`
+   * @param {string} [filters.since] Only the operations started on or after a date
+   * @param {string} [filters.until] Only the operations started on or before a date, a day without a time
+   * is included
+   * @param {number|string} [filters.limit] Only the most recent records
+   * @returns {object[]} The records, see `appendJournal`
+   * @throws {InvalidArgumentError} If a date or the limit is invalid
    */
-  checkoutToStaging() {
-    if (!this.config.useStaging) exitWithError('Staging branch is not enabled in the configuration');
-    if (!this.config.stagingBranch) exitWithError('Staging branch is not found in the configuration');
-    if (this.config.stagingBranch === this.getCurrentBranchName()) return;
-    this.checkoutBranch(this.config.stagingBranch);
+  readJournal({ type, since, until, limit } = {}) {
+    const parseDate = (value, option) => {
+      if (value === undefined) return undefined;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw new InvalidArgumentError(`Invalid date for ${option}: '${value}'.`);
+      // A day without a time ends at midnight
+      if (option === '--until' && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+      return date;
+    };
+    const from = parseDate(since, '--since');
+    const to = parseDate(until, '--until');
+    const count = limit === undefined ? undefined : Number(limit);
+    if (count !== undefined && !(Number.isInteger(count) && count > 0)) {
+      throw new InvalidArgumentError(`Invalid limit '${limit}'. Use a number of operations.`);
+    }
+
+    const records = [];
+    for (const line of (this.git.readGitFile(GitFlow.journalFileName) ?? '').split('\n')) {
+      // A line cut short, e.g. by a crash while writing, is skipped
+      try {
+        if (line.trim()) records.push(JSON.parse(line));
+      } catch (error) {
+        continue;
+      }
+    }
+    return records
+      .filter((record) => !type || record.type === type || record.type.startsWith(`${type}:`))
+      .filter((record) => !from || new Date(record.startedAt ?? record.finishedAt) >= from)
+      .filter((record) => !to || new Date(record.startedAt ?? record.finishedAt) < to)
+      .reverse()
+      .slice(0, count);
   }
 
   /**
-   * Create a new branch
-   * @param {string} branchName The name of the branch to create
-   * @param {string} fromBranch The branch to create the new branch from
-   * @returns {void}
-   * @throws {Error} If the branch already exists
+   * Print the journal of the operations, most recent first
+   *
+   * @param {object} [options] The filters, see `readJournal`
+   * @param {boolean} [options.verbose] Also print the commands with their exit codes
+   * @returns {object[]} The records printed
+   * @throws {InvalidArgumentError} If a filter is invalid
    */
-  createBranch(branchName, fromBranch) {
-    if (this.branchExistsLocal(branchName)) {
-      exitWithError(`${branchName} already exists`);
+  log(options = {}) {
+    const records = this.readJournal(options);
+    if (records.length === 0) console.info('No operations recorded.');
+    for (const record of records) {
+      const { id, type, branch, version, undoes, status, user, startedAt, finishedAt, commands, refs, pushed } = record;
+      const statusColor = status === 'completed' ? green : status === 'aborted' ? yellow : red;
+      const release = version && !branch?.includes(version) ? ` (${version})` : '';
+      const target = `${branch ? ` ${branch}` : ''}${release}${undoes ? ` #${undoes}` : ''}`;
+      console.info(`${bold(`#${id}`)} ${type}${target} ${statusColor(status)}`);
+      const by = user.email ? `${user.name} <${user.email}>` : (user.name ?? 'unknown');
+      console.info(`    ${new Date(startedAt ?? finishedAt).toLocaleString()} by ${by}`);
+      for (const { ref, before, after } of refs) {
+        console.info(`    ${ref} ${before?.slice(0, 7) ?? '(new)'} → ${after?.slice(0, 7) ?? '(deleted)'}`);
+      }
+      if (pushed.length > 0) console.info(`    Pushed: ${pushed.length} command${pushed.length > 1 ? 's' : ''}`);
+      if (options.verbose) {
+        for (const { command, code } of commands) console.info(`    ${code === 0 ? '✔' : `✘ ${code}`} ${command}`);
+      }
     }
-    console.info(` - A new branch ${green(branchName)} was created, based on ${green(fromBranch)}`);
-    this.addCommand(`git checkout -b ${branchName} ${fromBranch}`);
+    return records;
   }
 
+  // 🔹 Undo
   /**
-   * Merge a branch into another branch
-   * @param {string} sourceBranch The branch to merge
-   * @param {string} targetBranch The branch to merge into
-   * @returns {void}
-   * @throws {Error} If the merge fails
+   * @returns {object|null} The last journal record that can be undone: a completed operation that moved refs,
+   * and that is not undone yet. Undo operations themselves cannot be undone.
    */
-  mergeBranch(sourceBranch, targetBranch) {
-    console.info(`Merge ${green(sourceBranch)} into ${green(targetBranch)}`);
-    this.addCommand(`git checkout ${targetBranch}`);
-    this.addCommand(`git merge --no-ff ${sourceBranch}`);
-    if (this.checkMergeConflicts()) {
-      exitWithError('Please resolve merge conflicts and try again');
-    }
-    if (this.config.pushBranches) this.pushBranch();
+  getLastUndoableOperation() {
+    const records = this.readJournal();
+    const undone = new Set(records.filter(({ type }) => type === 'undo').map(({ undoes }) => undoes));
+    return (
+      records.find(
+        ({ id, type, status, refs }) => type !== 'undo' && status === 'completed' && refs.length > 0 && !undone.has(id)
+      ) ?? null
+    );
   }
 
   /**
-   * Delete a branch locally and remotely
-   * @param {string} branchName The name of the branch to delete
-   * @returns {void}
+   * Undo the last operation: restore the local branches and tags to their SHAs before the operation,
+   * recreating the deleted branches and deleting the created tags.
+   * What the operation already pushed is left on the remote, unless confirmed otherwise: `force-push` restores
+   * the remote refs too, `revert` commits reverts on the pushed branches instead of resetting them.
+   *
+   * @param {object} [options]
+   * @param {'local'|'force-push'|'revert'} [options.remote] What to do with the refs already pushed, asked if omitted
+   * @param {boolean} [options.yes] Confirm the force-push or the revert without asking
+   * @returns {Promise<object|null>} What the undo did, see `runCommands`, with `undoes`, the undone record;
+   * or null if cancelled
+   * @throws {OperationStateError} If an operation is paused, there is nothing to undo, or a ref moved since
+   * @throws {DirtyWorkingTreeError} If the working tree has uncommitted changes
+   * @throws {InvalidArgumentError} If `remote` is invalid, or an answer is missing in non-interactive mode
    */
-  deleteBranch(branchName) {
-    if (!this.branchExistsLocal(branchName)) {
-      exitWithError(`${branchName} does not exist`);
+  async undo(options = {}) {
+    this.resetQueue();
+    if (options.remote && !['local', 'force-push', 'revert'].includes(options.remote)) {
+      throw new InvalidArgumentError(`Invalid remote action '${options.remote}'. Use local, force-push or revert.`);
     }
-    console.info(`Delete local ${green(branchName)} branch`);
-    this.addCommand(`git branch -d ${branchName}`);
+    if (this.loadOperationState()) {
+      throw new OperationStateError("An operation is paused. Run 'gitflow abort' to undo it.");
+    }
+    const record = this.getLastUndoableOperation();
+    if (!record) throw new OperationStateError('No operation to undo.');
+    this.checkWorkingTreeClean();
 
-    // Also delete remote branch if pushBranches is enabled
-    if (this.config.pushBranches) {
-      console.info(`Delete remote ${green(branchName)} branch`);
-      this.addCommand(`git push origin --delete ${branchName}`);
+    const { refs: current } = this.snapshotRefs();
+    const moved = record.refs.filter(({ ref, after }) => (current[ref] ?? null) !== after);
+    if (moved.length > 0) {
+      throw new OperationStateError(
+        `Cannot undo #${record.id} ${record.type}, ${moved.map(({ ref }) => ref).join(', ')} moved since. ` +
+          'Undo it by hand.'
+      );
+    }
+    messageWithBorder(`↩️  Undo #${record.id} ${record.type}${record.branch ? ` ${record.branch}` : ''}`);
+
+    // The refs the operation pushed, with their SHAs before and after
+    const published = record.pushed
+      .flatMap((command) => GitFlow.summarizeSteps([{ args: command.split(' ').slice(1) }]).pushed)
+      .map(({ remote, ref, deleted }) => {
+        const moves = record.refs.find((move) => [`refs/heads/${ref}`, `refs/tags/${ref}`].includes(move.ref));
+        return moves && { ...moves, remote, name: ref, deleted, tag: moves.ref.startsWith('refs/tags/') };
+      })
+      .filter(Boolean);
+
+    let remoteAction = 'local';
+    if (published.length > 0) {
+      const pushedRefs = published.map(({ name, deleted }) => `${name}${deleted ? ' (deleted)' : ''}`);
+      this.warn(`Already pushed: ${pushedRefs.join(', ')}`);
+      ({ remoteAction } = await GitFlow.prompt(
+        [
+          {
+            type: 'select',
+            name: 'remoteAction',
+            message: 'What do you want to do with the refs already on the remote?',
+            flag: '--remote <local|force-push|revert>',
+            choices: [
+              { name: 'Leave them, undo the local refs only', value: 'local' },
+              { name: 'Force-push the local refs, rewriting the remote history', value: 'force-push' },
+              { name: 'Commit reverts on the pushed branches, and push them', value: 'revert' },
+            ],
+          },
+        ],
+        { remoteAction: options.remote },
+        { nonInteractive: this.options.nonInteractive }
+      ));
     }
-  }
 
-  /**
-   * Push the current branch to the remote repository
-   * @returns {void}
-   * @throws {Error} If the push fails
+    if (remoteAction !== 'local' && !this.options.dryRun) {
+      const names = published.map(({ name }) => name).join(', ');
+      const { confirmed } = await GitFlow.prompt(
+        [
+          {
+            type: 'confirm',
+            name: 'confirmed',
+            message:
+              remoteAction === 'force-push'
+                ? `Force-push ${names}? The remote history is rewritten for everyone.`
+                : `Commit reverts on the pushed branches of ${names}, and push them?`,
+            default: false,
+            flag: '--yes',
+          },
+        ],
+        { confirmed: options.yes || undefined },
+        { nonInteractive: this.options.nonInteractive }
+      );
+      if (!confirmed) {
+        console.info('🚫 Undo cancelled.');
+        return null;
+      }
+    }
+
+    // With `revert`, the pushed branches keep their history and get revert commits instead
+    const isRevertable = ({ tag, deleted, before, after }) => !tag && !deleted && before && after;
+    const reverted = remoteAction === 'revert' ? published.filter(isRevertable) : [];
+    const isReverted = (ref) => reverted.some((entry) => entry.ref === ref);
+
+    this.addCommand(['checkout', '--detach']);
+    for (const { ref, before, after } of record.refs.filter(({ ref }) => !isReverted(ref))) {
+      this.addCommand(before ? ['update-ref', ref, before] : ['update-ref', '-d', ref]);
+      // A recreated branch of a support branch is finished into it again
+      const base = this.getSnapshotBase(record, ref);
+      if (before && !after && base) {
+        this.addCommand(['config', `branch.${ref.slice('refs/heads/'.length)}.gitflowBase`, base]);
+      }
+    }
+    for (const { name, before, after, remote } of reverted) {
+      this.addCommand(['checkout', name]);
+      // A merge commit is reverted against its first parent, the branch before the merge
+      const parents = this.git.run(['rev-list', '--parents', '-n', '1', after]).stdout.trim().split(' ').slice(1);
+      if (parents.length > 1) this.addCommand(['revert', '--no-edit', '-m', '1', after]);
+      else this.addCommand(['revert', '--no-edit', `${before}..${after}`]);
+      this.addCommand(['push', remote, name]);
+    }
+
+    const headAfter = (ref) => {
+      const move = record.refs.find((entry) => entry.ref === ref);
+      return move && !isReverted(ref) ? move.before : current[ref];
+    };
+    const target =
+      [record.head, this.getCurrentBranchName(), this.config.developBranch].find(
+        (branch) => branch && headAfter(`refs/heads/${branch}`)
+      ) ?? this.config.mainBranch;
+    this.addCommand(['checkout', target]);
+
+    for (const { remote, name, before, after, deleted, tag } of remoteAction === 'local' ? [] : published) {
+      if (deleted && before) {
+        // Deleted from the remote by the operation, pushed back as it was
+        this.addCommand(['push', remote, `${before}:refs/${tag ? 'tags' : 'heads'}/${name}`]);
+      } else if (remoteAction === 'force-push' && !before) {
+        this.addCommand(['push', remote, '--delete', name]);
+      } else if (remoteAction === 'force-push') {
+        const ref = `refs/${tag ? 'tags' : 'heads'}/${name}`;
+        this.addCommand(['push', `--force-with-lease=${ref}${after ? `:${after}` : ''}`, remote, `${before}:${ref}`]);
+      } else if (!isReverted(`refs/${tag ? 'tags' : 'heads'}/${name}`)) {
+        this.warn(`${name} is left on ${remote}, it cannot be reverted.`);
+      }
+    }
+
+    const result = this.runCommands({ type: 'undo', undoes: record.id });
+    if (!this.options.dryRun) {
+      console.info(`\n💚 ${bold('Done')}, #${record.id} ${record.type} is undone. You are on ${green(target)}\n`);
+    }
+    return { ...result, undoes: record };
+  }
+
+  // 🔹 Cleanup
+  /**
+   * Find the flow branches to clean up: fully merged into every target of their type, or into their support
+   * branch, or without commits for `days` days. The main, develop, staging and support branches are never
+   * candidates, nor is the current branch. A branch without commits of its own is not merged, see `isMerged`.
+   *
+   * @param {object} [options]
+   * @param {number|string} [options.days] Also the branches whose last commit is at least this many days old
+   * @param {boolean} [options.remote] Also the branches that are only on the remote, after fetching it unless in
+   * a dry run
+   * @returns {object[]} The branches, see `getFlowBranches`, with `merged`, and `age` in days
+   * @throws {InvalidArgumentError} If `days` is not a positive number
+   */
+  findCleanupCandidates({ days, remote = false } = {}) {
+    const maxAge = days === undefined ? undefined : Number(days);
+    if (maxAge !== undefined && !(Number.isInteger(maxAge) && maxAge > 0)) {
+      throw new InvalidArgumentError(`Invalid number of days '${days}'.`);
+    }
+    // A dry run changes nothing, not even the remote-tracking branches
+    if (remote && this.options.dryRun) {
+      this.warn('The remotes are not fetched in a dry run, the remote branches may be out of date');
+    } else if (remote) {
+      for (const name of this.getRemotes()) this.git.run(['fetch', '--prune', name]);
+    }
+
+    const { mainBranch, developBranch, stagingBranch } = this.config;
+    const protectedBranches = [mainBranch, developBranch, stagingBranch, this.getCurrentBranchName()];
+    const isProtected = (name) => protectedBranches.includes(name) || name.startsWith(this.getSupportPrefix());
+    const histories = new Map();
+    return this.getFlowBranches()
+      .filter((branch) => (remote || branch.local) && !isProtected(branch.name))
+      .map((branch) => {
+        const supportBase = this.getSupportBase(branch.name);
+        const targets = [supportBase ?? this.getMergeTargets(branch.type)]
+          .flat()
+          .filter((target) => this.branchExistsLocal(target));
+        const baseRef = this.getComparableRef(supportBase ?? this.getBaseBranch(branch.type));
+        if (baseRef && !histories.has(baseRef)) histories.set(baseRef, this.getFirstParentHistory(baseRef));
+        const merged =
+          targets.length > 0 && targets.every((target) => this.isMerged(branch.ref, target, histories.get(baseRef)));
+        const age = Math.floor((Date.now() - new Date(branch.date).getTime()) / 86_400_000);
+        return { ...branch, merged, age };
+      })
+      .filter(({ merged, age }) => merged || (maxAge !== undefined && age >= maxAge));
+  }
+
+  /**
+   * Delete the flow branches picked from the candidates, see `findCleanupCandidates`, after confirmation.
+   * Local branches are deleted, and with `remote`, their copies on the remote as well.
+   *
+   * @param {object} [options]
+   * @param {number|string} [options.days] Also the branches without commits for this many days
+   * @param {boolean} [options.remote] Also the branches on the remote
+   * @param {boolean} [options.yes] Delete every candidate without asking
+   * @returns {Promise<object|null>} What the cleanup did, see `runCommands`, with the `found` candidates;
+   * or null if cancelled
+   * @throws {InvalidArgumentError} If `days` is invalid, or an answer is missing in non-interactive mode
+   */
+  async cleanup(options = {}) {
+    this.resetQueue();
+    const candidates = this.findCleanupCandidates(options);
+    if (candidates.length === 0) {
+      console.info('No branches to clean up.');
+      const dryRun = Boolean(this.options.dryRun);
+      const summary = GitFlow.summarizeSteps([]);
+      return { operation: { type: 'cleanup' }, dryRun, ...summary, refs: [], warnings: this.warnings, found: [] };
+    }
+
+    const describe = ({ name, local, remote, merged, age }) => {
+      const location = [local && 'local', remote && 'remote'].filter(Boolean).join('+');
+      return `${name} (${location}) ${merged ? 'merged' : `no commits for ${age} days`}`;
+    };
+    if (options.yes) {
+      console.info(bold('Branches to delete'));
+      for (const branch of candidates) console.info(`  ${describe(branch)}`);
+    }
+    const { nonInteractive } = this.options;
+    const { selected } = await GitFlow.prompt(
+      [
+        {
+          type: 'checkbox',
+          name: 'selected',
+          message: 'Select the branches to delete:',
+          flag: '--yes to delete every branch found',
+          choices: candidates.map((branch) => ({ name: describe(branch), value: branch.name, checked: true })),
+        },
+      ],
+      { selected: options.yes ? candidates.map(({ name }) => name) : undefined },
+      { nonInteractive }
+    );
+    if (selected.length === 0) {
+      console.info('🚫 Cleanup cancelled.');
+      return null;
+    }
+
+    if (!this.options.dryRun) {
+      const { confirmed } = await GitFlow.prompt(
+        [
+          {
+            type: 'confirm',
+            name: 'confirmed',
+            message: `Delete ${selected.length} branch(es)${options.remote ? ', locally and on the remote' : ''}?`,
+            default: false,
+            flag: '--yes',
+          },
+        ],
+        { confirmed: options.yes || undefined },
+        { nonInteractive }
+      );
+      if (!confirmed) {
+        console.info('🚫 Cleanup cancelled.');
+        return null;
+      }
+    }
+
+    // Merged into the targets checked above, not necessarily into HEAD or the upstream `git branch -d` checks
+    for (const branch of candidates.filter(({ name }) => selected.includes(name))) {
+      if (branch.local) this.addCommand(['branch', '-D', branch.name]);
+      if (options.remote && branch.remote) {
+        this.addCommand(['push', this.getRemote(branch.name), '--delete', branch.name]);
+      }
+    }
+    const result = this.runCommands({ type: 'cleanup' });
+    if (!this.options.dryRun) console.info(`\n💚 ${bold('Done')}, ${selected.length} branch(es) deleted\n`);
+    return { ...result, found: candidates };
+  }
+
+  // 🔹 Status
+  /**
+   * Print the state of the flow: the paused operation, every flow branch, and main/develop divergence
+   *
+   * @returns {{ operation: object|null, branches: object[], diverged: number }} The paused operation with its
+   * `stoppedAt` and `remaining` steps, the flow branches with their `base`, `ahead`, `behind` and `mergedInto`,
+   * and the number of commits of the main branch that are not in the develop branch, merge commits aside.
+   * `ahead` and `behind` are null when the base exists neither locally nor on its remote.
+   */
+  status() {
+    const state = this.loadOperationState();
+    if (state) {
+      const { operation, stoppedAt, commands } = state;
+      console.info(`${yellow('Operation in progress:')} ${operation.type}${operation.branch ? ` ${operation.branch}` : ''}`);
+      if (stoppedAt) console.info(`  Stopped at: ${stoppedAt.command} (on ${green(stoppedAt.branch)})`);
+      console.info(`  Remaining steps: ${commands.length}`);
+      for (const step of commands) console.info(`   - ${GitFlow.formatStep(step)}`);
+      console.info(`\nRun 'gitflow continue' after committing the resolved conflicts, or 'gitflow abort'.\n`);
+    } else {
+      console.info('No operation in progress.\n');
+    }
+
+    const { mainBranch, developBranch, useStaging, stagingBranch } = this.config;
+    // In a fresh clone, the branches that are not checked out yet are compared through their remote
+    const targets = [developBranch, ...(useStaging ? [stagingBranch] : []), mainBranch]
+      .map((name) => ({ name, ref: this.getComparableRef(name) }))
+      .filter(({ ref }) => ref !== undefined);
+
+    const histories = new Map();
+    const branches = this.getFlowBranches().map((branch) => {
+      const base = this.getBaseBranch(branch.type);
+      const baseRef = this.getComparableRef(base);
+      const { ahead, behind } = baseRef ? this.compareBranches(branch.ref, baseRef) : { ahead: null, behind: null };
+      if (baseRef && !histories.has(baseRef)) histories.set(baseRef, this.getFirstParentHistory(baseRef));
+      const mergedInto = targets
+        .filter(({ ref }) => this.isMerged(branch.ref, ref, histories.get(baseRef)))
+        .map(({ name }) => name);
+      return { ...branch, base, ahead, behind, mergedInto };
+    });
+    console.info(bold('Flow branches'));
+    if (branches.length === 0) console.info('  No flow branches.');
+    for (const branch of branches) {
+      const location = [branch.local && 'local', branch.remote && 'remote'].filter(Boolean).join('+');
+      console.info(`  ${green(branch.name)} (${location})`);
+      if (branch.ahead === null) console.info(`    Unknown ahead/behind, ${branch.base} does not exist`);
+      else console.info(`    ${branch.ahead} ahead, ${branch.behind} behind ${branch.base}`);
+      console.info(`    Last commit: ${branch.date} by ${branch.author}`);
+      console.info(`    Merged into: ${branch.mergedInto.length > 0 ? branch.mergedInto.join(', ') : '-'}`);
+    }
+
+    let diverged = 0;
+    const mainRef = this.getComparableRef(mainBranch);
+    const developRef = this.getComparableRef(developBranch);
+    if (mainRef && developRef) {
+      // The merge commits of the releases and hotfixes are only on main, they do not count
+      const { stdout } = this.git.run(['rev-list', '--count', '--no-merges', `${developRef}..${mainRef}`]);
+      diverged = parseInt(stdout.trim(), 10) || 0;
+      if (diverged > 0) {
+        console.info(
+          `\n${red('Diverged:')} ${mainBranch} has ${diverged} commit(s) that are not in ${developBranch}, e.g. an unmerged hotfix.`
+        );
+      }
+    }
+
+    const operation = state && {
+      ...state.operation,
+      stoppedAt: state.stoppedAt,
+      remaining: state.commands.map((step) => GitFlow.formatStep(step)),
+    };
+    return { operation, branches, diverged };
+  }
+
+  /**
+   * List the local and remote branches matching the prefixes of the branch types
+   *
+   * @returns {object[]} The branches, with `name`, `type`, `ref`, `local`, `remote`, `date`, `author` and `subject`
+   */
+  getFlowBranches() {
+    const remotes = this.getRemotes();
+    const prefixes = this.getPrefixes();
+    const { stdout } = this.git.run([
+      'for-each-ref',
+      '--format=%(refname)%09%(committerdate:short)%09%(authorname)%09%(contents:subject)',
+      'refs/heads',
+      ...remotes.map((remote) => `refs/remotes/${remote}`),
+    ]);
+
+    const branches = new Map();
+    for (const line of stdout.trim().split('\n').filter(Boolean)) {
+      const [refName, date, author, subject] = line.split('\t');
+      const remoteName = remotes.find((remote) => refName.startsWith(`refs/remotes/${remote}/`));
+      const remote = remoteName !== undefined;
+      const name = remote ? refName.slice(`refs/remotes/${remoteName}/`.length) : refName.slice('refs/heads/'.length);
+      const type = Object.keys(prefixes).find((key) => name.startsWith(prefixes[key]));
+      // A remote branch only counts on the remote configured for its type
+      if (!type || (remote && remoteName !== this.getRemote(name))) continue;
+
+      const branch = branches.get(name) ?? { name, type, local: false, remote: false };
+      // Prefer the local branch for the commit info
+      if (!remote || !branch.local) {
+        Object.assign(branch, { ref: remote ? `${remoteName}/${name}` : name, date, author, subject });
+      }
+      branch[remote ? 'remote' : 'local'] = true;
+      branches.set(name, branch);
+    }
+    return [...branches.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the branch a flow branch type starts from
+   *
+   * @param {string} type The branch type, e.g. `feature`
+   * @returns {string} The name of the base branch
+   */
+  getBaseBranch(type) {
+    return this.resolveBranch(this.getBranchType(type).base);
+  }
+
+  /**
+   * Get the ref to compare a branch with: the local branch, else its remote-tracking branch
+   *
+   * @param {string} branch The name of the branch
+   * @returns {string|undefined} The ref, undefined if the branch is neither local nor fetched from its remote
+   */
+  getComparableRef(branch) {
+    if (this.branchExistsLocal(branch)) return branch;
+    const remoteRef = `${this.getRemote(branch)}/${branch}`;
+    const { code } = this.git.run(['rev-parse', '--verify', '--quiet', `refs/remotes/${remoteRef}`]);
+    return code === 0 ? remoteRef : undefined;
+  }
+
+  /**
+   * Check if a branch is fully merged into another branch. A branch without commits of its own, e.g. one started
+   * a moment ago, points at a commit of the first-parent history of its base and is never merged.
+   *
+   * @param {string} branch The branch to check
+   * @param {string} target The branch it should be merged into
+   * @param {Set<string>} [baseHistory] The first-parent history of the base of the branch, see
+   * `getFirstParentHistory`
+   * @returns {boolean} Whether the branch has commits of its own, and every commit of the branch is in the target
+   */
+  isMerged(branch, target, baseHistory) {
+    if (baseHistory?.has(this.git.run(['rev-parse', branch]).stdout.trim())) return false;
+    return this.git.run(['merge-base', '--is-ancestor', branch, target]).code === 0;
+  }
+
+  /**
+   * Get the first-parent history of a branch: the commits made on it or fast-forwarded into it, not the commits
+   * merged into it
+   *
+   * @param {string} branch The branch
+   * @returns {Set<string>} The commit hashes
+   */
+  getFirstParentHistory(branch) {
+    return new Set(this.git.run(['rev-list', '--first-parent', branch]).stdout.trim().split('\n').filter(Boolean));
+  }
+
+  // 🔹 Transactions
+  /**
+   * Take a snapshot of the current branch, of every local branch and tag, and of the support branches the
+   * flow branches started from, which `git branch -d` forgets
+   *
+   * @returns {{ branch: string, head: string, refs: object, bases: object }} The snapshot, refs are mapped to
+   * their SHAs, branch names to their support branch
+   */
+  snapshotRefs() {
+    const { stdout } = this.git.run(['for-each-ref', '--format=%(refname) %(objectname)', 'refs/heads', 'refs/tags']);
+    const refs = {};
+    for (const line of stdout.trim().split('\n').filter(Boolean)) {
+      const [ref, sha] = line.split(' ');
+      refs[ref] = sha;
+    }
+    const head = this.git.run(['rev-parse', 'HEAD']).stdout.trim();
+    const bases = {};
+    const config = this.git.run(['config', '--get-regexp', '^branch\\..*\\.gitflowbase$']).stdout;
+    for (const line of config.trim().split('\n').filter(Boolean)) {
+      const [key, base] = line.split(' ');
+      bases[key.slice('branch.'.length, -'.gitflowbase'.length)] = base;
+    }
+    return { branch: this.getCurrentBranchName(), head, refs, bases };
+  }
+
+  /**
+   * Restore local branches and tags from a snapshot and check out the original branch.
+   * Prints a report of what was rolled back, and of what has already reached the remote.
+   *
+   * @param {object} snapshot The snapshot taken by `snapshotRefs`
+   * @param {string[]} pushed The push commands that already succeeded
+   * @returns {boolean} Whether every ref was restored
+   */
+  rollback(snapshot, pushed = []) {
+    console.info(yellow('\nRolling back...'));
+    const report = [];
+    let restored = true;
+
+    if (this.isMerging()) {
+      this.git.run(['merge', '--abort']);
+      report.push('aborted the unfinished merge');
+    }
+    if (this.isRebasing()) {
+      this.git.run(['rebase', '--abort']);
+      report.push('aborted the unfinished rebase');
+    }
+    if (this.isSquashing()) {
+      this.git.run(['reset', '--merge']);
+      report.push('discarded the uncommitted squash merge');
+    }
+
+    // Detach HEAD, so the checked out branch can be moved as well
+    this.git.run(['checkout', '--detach']);
+
+    for (const { ref, before, after } of this.diffSnapshot(snapshot)) {
+      const args = before ? ['update-ref', ref, before] : ['update-ref', '-d', ref];
+      if (this.git.run(args).code !== 0) {
+        restored = false;
+        report.push(red(`could not restore ${ref}`));
+        continue;
+      }
+      if (!before) report.push(`deleted ${ref}`);
+      else if (!after) report.push(`recreated ${ref} at ${before.slice(0, 7)}`);
+      else report.push(`reset ${ref} to ${before.slice(0, 7)}`);
+      const base = this.getSnapshotBase(snapshot, ref);
+      if (before && !after && base) {
+        this.git.run(['config', `branch.${ref.slice('refs/heads/'.length)}.gitflowBase`, base]);
+      }
+    }
+
+    const checkoutTarget = snapshot.branch || snapshot.head;
+    if (this.git.run(['checkout', checkoutTarget]).code === 0) {
+      report.push(`checked out ${checkoutTarget}`);
+    } else {
+      restored = false;
+      report.push(red(`could not check out ${checkoutTarget}`));
+    }
+
+    console.info('Rolled back:');
+    for (const line of report) console.info(` - ${line}`);
+
+    if (pushed.length > 0) {
+      console.info(red('\nAlready on the remote, these are NOT rolled back:'));
+      for (const command of pushed) console.info(` - ${command}`);
+    }
+    return restored;
+  }
+
+  /**
+   * @param {object} snapshot The snapshot taken by `snapshotRefs`, or a journal record
+   * @param {string} ref A ref, e.g. `refs/heads/hotfix/1.4.3`
+   * @returns {string|undefined} The support branch the branch started from, see `getSupportBase`
+   */
+  getSnapshotBase(snapshot, ref) {
+    return ref.startsWith('refs/heads/') ? snapshot.bases?.[ref.slice('refs/heads/'.length)] : undefined;
+  }
+
+  /**
+   * Compare the refs of a snapshot with their current SHAs
+   *
+   * @param {object} snapshot The snapshot taken by `snapshotRefs`
+   * @returns {{ ref: string, before: string|null, after: string|null }[]} The refs changed since the snapshot,
+   * null when the ref did not exist
+   */
+  diffSnapshot(snapshot) {
+    const { refs: current } = this.snapshotRefs();
+    const refNames = new Set([...Object.keys(snapshot.refs), ...Object.keys(current)]);
+    return [...refNames]
+      .map((ref) => ({ ref, before: snapshot.refs[ref] ?? null, after: current[ref] ?? null }))
+      .filter(({ before, after }) => before !== after);
+  }
+
+  /**
+   * @returns {string} The absolute path of the `.git` directory of the executor's working directory
+   */
+  getGitDir() {
+    return this.git.gitDir();
+  }
+
+  /**
+   * @returns {boolean} Whether a merge is waiting to be committed
+   */
+  isMerging() {
+    return this.git.hasGitFile('MERGE_HEAD');
+  }
+
+  /**
+   * @returns {boolean} Whether a rebase is in progress
+   */
+  isRebasing() {
+    return ['rebase-merge', 'rebase-apply'].some((dir) => this.git.hasGitFile(dir));
+  }
+
+  /**
+   * @returns {boolean} Whether a squash merge is waiting to be committed
+   */
+  isSquashing() {
+    return this.git.hasGitFile('SQUASH_MSG');
+  }
+
+  // 🔹 Branch management
+  /**
+   * @returns {string} The name of the current branch
+   */
+  getCurrentBranchName() {
+    const { stdout } = this.git.run(['branch', '--show-current']);
+    return stdout.trim();
+  }
+
+  /**
+   * Check if a branch exists locally
+   *
+   * @param {string} branch The name of the branch to check
+   * @returns {boolean} Whether the branch exists
+   */
+  branchExistsLocal(branch) {
+    return this.git.run(['rev-parse', '--verify', '--quiet', branch]).code === 0;
+  }
+
+  /**
+   * Check if a branch exists on the remote repository
+   * @param {string} branch The name of the branch to check
+   * @returns {boolean} Whether the branch exists on the remote repository
+   */
+  branchExistsRemote(branch) {
+    return this.git.run(['ls-remote', '--heads', this.getRemote(branch), branch]).stdout !== '';
+  }
+
+  // 🔹 Remotes
+  /**
+   * Get the remote a branch is pushed to: the override in `remotes` for its type, or the default `remote`.
+   * The types are `main`, `develop`, `staging`, `support`, the branch types, and `tags` for version tags.
+   * @param {string} branch The name of the branch, or `tags`
+   * @returns {string} The name of the remote
+   * @example gitFlow.getRemote('feature/login'); // 'fork' with { "remotes": { "feature": "fork" } }
+   */
+  getRemote(branch) {
+    const { mainBranch, developBranch, stagingBranch, remote, remotes = {} } = this.config;
+    const prefixes = this.getPrefixes();
+    let type;
+    if (branch === 'tags') type = 'tags';
+    else if (branch === mainBranch) type = 'main';
+    else if (branch === developBranch) type = 'develop';
+    else if (stagingBranch && branch === stagingBranch) type = 'staging';
+    else if (branch.startsWith(this.getSupportPrefix())) type = 'support';
+    else type = Object.keys(prefixes).find((key) => branch.startsWith(prefixes[key]));
+    return remotes[type] ?? remote;
+  }
+
+  /**
+   * @returns {string[]} Every configured remote, the default one first
+   */
+  getRemotes() {
+    return [...new Set([this.config.remote, ...Object.values(this.config.remotes ?? {})])];
+  }
+
+  /**
+   * Check diff between two branches
+   * @param {string} branch1 The first branch
+   * @param {string} branch2 The second branch
    * @returns {void}
    */
-  pushBranch() {
-    const currentBranch = this.getCurrentBranchName();
-    console.info(`Push ${green(currentBranch)} branch to remote`);
-    this.addCommand(`git push origin ${currentBranch}`);
+  checkDiff(branch1, branch2) {
+    console.info(`Check diff between ${green(branch1)} and ${green(branch2)}`);
+    this.addCommand(['diff', `${branch1}..${branch2}`]);
   }
 
-  deleteAllLocalBranches() {
-    const { stdout, stderr } = shell.exec('git branch --list', { silent: true });
-    if (stderr) {
-      exitWithError(stderr);
+  /**
+   * Check if two branches have the same commit hash
+   * @param {string} branch1 The first branch
+   * @param {string} branch2 The second branch
+   * @returns {boolean} Whether the branches have the same commit hash
+   */
+  branchesMatch(branch1, branch2) {
+    const branch1Hash = this.git.run(['rev-parse', branch1]).stdout.trim();
+    const branch2Hash = this.git.run(['rev-parse', branch2]).stdout.trim();
+    return branch1Hash === branch2Hash;
+  }
+
+  /**
+   * Compare two branches and determine how many commits branch1 is ahead
+   * or behind branch2.
+   *
+   * @param {string} branch1 The branch to compare.
+   * @param {string} branch2 The branch to compare against.
+   * @returns {object} An object with properties "ahead" and "behind".
+   * @throws {CommandFailedError} If a branch does not exist
+   */
+  compareBranches(branch1, branch2) {
+    const { stdout, stderr } = this.git.run(['rev-list', '--left-right', '--count', `${branch1}...${branch2}`]);
+    if (stderr) throw new CommandFailedError(stderr.trim(), { output: stderr });
+    const counts = stdout.trim().split('\t');
+    const ahead = parseInt(counts[0], 10);
+    const behind = parseInt(counts[1], 10);
+    return { ahead, behind };
+  }
+
+  /**
+   * Check if there are merge conflicts in the working directory.
+   *
+   * @returns {boolean} True if merge conflicts exist, otherwise false.
+   */
+  checkMergeConflicts() {
+    const conflicts = this.getMergeConflicts();
+    if (conflicts.length > 0) {
+      console.error(`${red(`Merge conflicts detected in:`)}\n${conflicts.join(',\n')}\n`);
+      return true;
     }
-    const branches = stdout
+    return false;
+  }
+
+  /**
+   * @returns {string[]} The files with unresolved merge conflicts
+   * @throws {CommandFailedError} If git fails
+   */
+  getMergeConflicts() {
+    const { stdout, stderr } = this.git.run(['diff', '--name-only', '--diff-filter=U']);
+    if (stderr) throw new CommandFailedError(stderr.trim(), { output: stderr });
+    return stdout
       .trim()
       .split('\n')
-      .map((branch) => branch.trim().replace('*', ''))
-      .filter((branch) => branch !== 'main' && branch !== 'develop');
+      .filter((file) => file);
+  }
 
-    if (branches.length === 0) {
-      console.info('No branches to delete');
-      return;
+  /**
+   * Add git tag, and push it if pushBranches is enabled
+   * @param {string} version The version number for the release
+   * @param {string} [target] The commit to tag, defaults to the planned branch
+   * @returns {void}
+   */
+  addTag(version, target) {
+    console.info(`Add tag ${yellow(version)}`);
+    this.addHook('preTag', { GITFLOW_TAG: `v${version}` });
+    this.addCommand(['tag', '-a', `v${version}`, '-m', `v${version}`, ...(target ? [target] : [])]);
+    if (this.config.pushBranches) {
+      this.addHook('prePush', { GITFLOW_REMOTE: this.getRemote('tags'), GITFLOW_REF: `v${version}` });
+      this.addCommand(['push', this.getRemote('tags'), `v${version}`]);
     }
+  }
 
-    console.info('Deleting local branches...');
-    this.addCommand(`git branch | grep -v "main" | xargs git branch -D`);
-    this.runCommands();
+  /**
+   * Checks if the working directory is clean (no uncommitted changes).
+   * @returns {boolean} True if clean
+   * @throws {DirtyWorkingTreeError} If the working tree has uncommitted changes
+   */
+  checkWorkingTreeClean() {
+    const result = this.git.run(['status', '--porcelain']);
+    if (result.stdout.trim() !== '') {
+      throw new DirtyWorkingTreeError(
+        'Uncommitted changes exist. Please commit or stash your changes before switching branches.'
+      );
+    }
+    return true;
   }
 
+  /**
+   * Checkout a branch
+   *
+   * @param {string} branch The name of the branch
+   * @returns {void}
+   * @throws {BranchNotFoundError} If the branch does not exist
+   * @throws {DirtyWorkingTreeError} If the working tree has uncommitted changes
+   */
+  checkoutBranch(branch) {
+    const currentBranch = this.getPlannedBranch();
+    if (currentBranch === branch) return;
+    if (!this.branchExistsLocal(branch)) {
+      throw new BranchNotFoundError(`${branch} does not exist`);
+    }
+    this.checkWorkingTreeClean();
+    if (this.config.debug) console.info(`Checkout to ${green(branch)} branch`);
+    this.addCommand(['checkout', branch]);
+    this.addCommand(['pull', this.getRemote(branch), branch]);
+  }
+
+  /**
+   * Checkout a flow branch, without pulling it: it may not be on the remote
+   *
+   * @param {string} branch The name of the flow branch
+   * @returns {void}
+   * @throws {DirtyWorkingTreeError} If the working tree has uncommitted changes
+   */
+  checkoutFlowBranch(branch) {
+    if (this.getPlannedBranch() === branch) return;
+    this.checkWorkingTreeClean();
+    this.addCommand(['checkout', branch]);
+  }
+
+  /**
+   * Checkout to the main branch
+   * @returns {void}
+   * @throws {InvalidConfigError} If the main branch is not configured
+   */
+  checkoutToMain() {
+    if (!this.config.mainBranch) throw new InvalidConfigError('Main branch is not found in the configuration');
+    if (this.config.mainBranch === this.getPlannedBranch()) return;
+    this.checkoutBranch(this.config.mainBranch);
+  }
+
+  /**
+   * Checkout to the develop branch
+   * @returns {void}
+   * @throws {InvalidConfigError} If the develop branch is not configured
+   */
+  checkoutToDevelop() {
+    if (!this.config.developBranch) throw new InvalidConfigError('Develop branch is not found in the configuration');
+    const currentBranch = this.getPlannedBranch();
+    if (this.config.developBranch === currentBranch) return;
+    this.checkoutBranch(this.config.developBranch);
+  }
+
+  /**
+   * Checkout to the staging branch
+   * @returns {void}
+   * @throws {InvalidConfigError} If staging is not enabled, or the staging branch is not configured
+   */
+  checkoutToStaging() {
+    if (!this.config.useStaging) throw new InvalidConfigError('Staging branch is not enabled in the configuration');
+    if (!this.config.stagingBranch) throw new InvalidConfigError('Staging branch is not found in the configuration');
+    if (this.config.stagingBranch === this.getPlannedBranch()) return;
+    this.checkoutBranch(this.config.stagingBranch);
+  }
+
+  /**
+   * Create a new branch
+   * @param {string} branchName The name of the branch to create
+   * @param {string} fromBranch The branch to create the new branch from
+   * @returns {void}
+   * @throws {BranchExistsError} If the branch already exists
+   */
+  createBranch(branchName, fromBranch) {
+    if (this.branchExistsLocal(branchName)) {
+      throw new BranchExistsError(`${branchName} already exists`);
+    }
+    console.info(` - A new branch ${green(branchName)} was created, based on ${green(fromBranch)}`);
+    this.addCommand(['checkout', '-b', branchName, fromBranch]);
+  }
+
+  /**
+   * Merge a branch into another branch
+   * - `no-ff`: always create a merge commit
+   * - `ff`: fast-forward only
+   * - `squash`: squash the branch into a single commit, its message lists the squashed commits
+   * - `rebase`: rebase the branch onto the target, then fast-forward the target
+   * @param {string} sourceBranch The branch to merge
+   * @param {string} targetBranch The branch to merge into
+   * @param {'no-ff'|'ff'|'squash'|'rebase'} [strategy] The merge strategy
+   * @returns {void}
+   * @throws {MergeConflictError} If the working tree has merge conflicts
+   */
+  mergeBranch(sourceBranch, targetBranch, strategy = 'no-ff') {
+    const suffix = strategy === 'no-ff' ? '' : ` (${strategy})`;
+    console.info(`Merge ${green(sourceBranch)} into ${green(targetBranch)}${suffix}`);
+    if (strategy === 'rebase') {
+      this.addCommand(['rebase', targetBranch, sourceBranch]);
+      this.addCommand(['checkout', targetBranch]);
+    } else if (this.getPlannedBranch() !== targetBranch) {
+      this.addCommand(['checkout', targetBranch]);
+    }
+    const ticketKey = this.getTicketKey(sourceBranch);
+    if (strategy === 'squash') {
+      this.addCommand(['merge', '--squash', sourceBranch]);
+      this.addCommand(['commit', '-m', this.getSquashMessage(sourceBranch, targetBranch)]);
+    } else if (strategy === 'no-ff' && ticketKey) {
+      const message = `${ticketKey} Merge branch '${sourceBranch}' into ${targetBranch}`;
+      this.addCommand(['merge', '--no-ff', '-m', message, sourceBranch]);
+    } else {
+      this.addCommand(['merge', strategy === 'no-ff' ? '--no-ff' : '--ff-only', sourceBranch]);
+    }
+    if (this.checkMergeConflicts()) {
+      throw new MergeConflictError('Please resolve merge conflicts and try again');
+    }
+    this.addHook('postMerge', { GITFLOW_TARGET: targetBranch });
+    if (this.config.pushBranches) this.pushBranch();
+  }
+
+  /**
+   * List the commits of a branch that are not in another branch, oldest first
+   * @param {string} sourceBranch The branch
+   * @param {string} targetBranch The branch it is compared with
+   * @returns {string} One `- <hash> <subject>` line per commit
+   */
+  listCommits(sourceBranch, targetBranch) {
+    const { stdout } = this.git.run(['log', '--reverse', '--format=- %h %s', `${targetBranch}..${sourceBranch}`]);
+    return stdout.trim();
+  }
+
+  /**
+   * Build the message of a squash merge, listing the squashed commits
+   * @param {string} sourceBranch The squashed branch
+   * @param {string} targetBranch The branch it is squashed into
+   * @returns {string} The commit message
+   */
+  getSquashMessage(sourceBranch, targetBranch) {
+    const commits = this.listCommits(sourceBranch, targetBranch);
+    const ticketKey = this.getTicketKey(sourceBranch);
+    const subject = `${ticketKey ? `${ticketKey} ` : ''}Squash merge branch '${sourceBranch}' into ${targetBranch}`;
+    return commits ? `${subject}\n\n${commits}` : subject;
+  }
+
+  /**
+   * Delete a branch locally and remotely
+   * @param {string} branchName The name of the branch to delete
+   * @param {boolean} [force] Delete it even if it is not merged, e.g. after a squash merge
+   * @returns {void}
+   */
+  deleteBranch(branchName, force = false) {
+    if (!this.branchExistsLocal(branchName)) {
+      throw new BranchNotFoundError(`${branchName} does not exist`);
+    }
+    console.info(`Delete local ${green(branchName)} branch`);
+    this.addCommand(['branch', force ? '-D' : '-d', branchName]);
+
+    // Also delete remote branch if pushBranches is enabled
+    if (this.config.pushBranches && this.branchExistsRemote(branchName)) {
+      console.info(`Delete remote ${green(branchName)} branch`);
+      this.addCommand(['push', this.getRemote(branchName), '--delete', branchName]);
+    }
+  }
+
+  /**
+   * Push the branch checked out at this point of the plan to the remote repository
+   * @returns {void}
+   */
+  pushBranch() {
+    const currentBranch = this.getPlannedBranch();
+    const remote = this.getRemote(currentBranch);
+    console.info(`Push ${green(currentBranch)} branch to ${remote}`);
+    this.addHook('prePush', { GITFLOW_REMOTE: remote, GITFLOW_REF: currentBranch });
+    this.addCommand(['push', remote, currentBranch]);
+  }
+
+  /**
+   * Check if the configuration file differs from the one of the main branch on its remote
+   * @returns {boolean} Whether the configuration file is changed
+   * @throws {CommandFailedError} If the diff fails, e.g. the remote main branch is not fetched
+   */
   configFileIsChanged() {
-    const { stdout, stderr } = shell.exec(`git diff origin/main -- ${GitFlow.configFileName}`, { silent: true });
+    const { mainBranch } = this.config;
+    const { stdout, stderr } = this.git.run([
+      'diff',
+      `${this.getRemote(mainBranch)}/${mainBranch}`,
+      '--',
+      GitFlow.configFileName,
+    ]);
     if (stderr) {
-      exitWithError(stderr);
+      throw new CommandFailedError(stderr.trim(), { output: stderr });
     }
     return stdout.trim() !== '';
   }
 
-  // 🔹 Git Flow initialization
+  // 🔹 Versions
+  /**
+   * Get the versions of the `v` tags, ordered by SemVer precedence
+   * @param {string} [branch] Only the tags reachable from this branch, e.g. a support branch
+   * @returns {string[]} The versions, without the `v` prefix
+   */
+  getVersionTags(branch) {
+    const { stdout } = this.git.run(['tag', '--list', 'v*', ...(branch ? ['--merged', branch] : [])]);
+    return stdout
+      .trim()
+      .split('\n')
+      .map((tag) => tag.trim().replace(/^v/, ''))
+      .filter((version) => validateVersion(version))
+      .sort(compareVersions);
+  }
+
+  /**
+   * @param {string} [branch] Only the tags reachable from this branch
+   * @returns {string[]} The tagged versions without pre-release, ordered by SemVer precedence
+   */
+  getReleasedVersions(branch) {
+    return this.getVersionTags(branch).filter((version) => parseVersion(version).prerelease.length === 0);
+  }
+
+  /**
+   * Pre-releases, e.g. release candidates of an open release, are not taken into account
+   * @param {string} [branch] Only the versions reachable from this branch, i.e. the version line of a support branch
+   * @returns {string} The latest released version, or `0.0.0` if nothing is released yet
+   */
+  getLatestVersion(branch) {
+    return this.getReleasedVersions(branch).at(-1) ?? '0.0.0';
+  }
+
+  /**
+   * Compute the next version from the latest tag
+   * @param {'major'|'minor'|'patch'} part The part to increment
+   * @param {string} [branch] Compute it from the latest tag reachable from this branch
+   * @returns {string} The next version
+   * @example gitFlow.getNextVersion('minor'); // '1.5.0' when the latest tag is v1.4.2
+   * @example gitFlow.getNextVersion('patch', 'support/1.x'); // '1.4.3' while main is at v2.1.0
+   */
+  getNextVersion(part, branch) {
+    return incrementVersion(this.getLatestVersion(branch), part);
+  }
+
+  /**
+   * Check that a version can be released: its tag does not exist yet, and it is greater than the latest
+   * released version and than every pre-release of the same version
+   * @param {string} version The version to check
+   * @param {string} [branch] Compare with the latest version reachable from this branch, e.g. a support branch
+   * @returns {boolean} True if the version can be released
+   * @throws {InvalidVersionError} If the tag exists, or the version is not greater than the latest one
+   */
+  checkNewVersion(version, branch) {
+    if (this.git.run(['rev-parse', '--verify', '--quiet', `refs/tags/v${version}`]).code === 0) {
+      throw new InvalidVersionError(`Tag v${version} already exists`);
+    }
+    const { major, minor, patch } = parseVersion(version);
+    const core = `${major}.${minor}.${patch}`;
+    const latest = [
+      this.getLatestVersion(branch),
+      ...this.getVersionTags().filter((tag) => tag.startsWith(`${core}-`) || tag.startsWith(`${core}+`)),
+    ]
+      .sort(compareVersions)
+      .at(-1);
+    if (compareVersions(version, latest) <= 0) {
+      throw new InvalidVersionError(`Version ${version} must be greater than the latest version ${latest}`);
+    }
+    return true;
+  }
+
+  /**
+   * Get the version a tagged branch, like a hotfix, is tagged with: its name if it is a version,
+   * otherwise the next patch version
+   * @param {string} name The name of the branch, without prefix
+   * @param {string} [base] The support branch it is based on, the version is then the next patch of that line
+   * @returns {string} The version
+   */
+  getTagVersion(name, base) {
+    const version = validateVersion(name) ? name : this.getNextVersion('patch', base);
+    this.checkNewVersion(version, base);
+    return version;
+  }
+
+  // 🔹 Changelog
+  /**
+   * Get the first-parent commits of a branch since the latest version tag
+   * @param {string} branch The branch to read the commits from
+   * @returns {{ hash: string, subject: string }[]} The commits, from the newest to the oldest
+   */
+  getCommitsSinceLatestTag(branch) {
+    const tags = this.getReleasedVersions();
+    const range = tags.length > 0 ? `v${tags.at(-1)}..${branch}` : branch;
+    const { stdout, stderr, code } = this.git.run(['log', '--first-parent', '--format=%H%x09%s', range]);
+    if (code !== 0) throw new CommandFailedError(stderr.trim(), { output: stderr });
+    return stdout
+      .trim()
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        const [hash, ...subject] = line.split('\t');
+        return { hash, subject: subject.join('\t') };
+      });
+  }
+
   /**
-   * Gitflow init
+   * Generate the changelog section of a version
+   * @param {string} version The version
+   * @param {string} branch The branch holding the changes of the version
+   * @returns {string} The Markdown section
+   */
+  generateChangelog(version, branch) {
+    const commits = this.getCommitsSinceLatestTag(branch);
+    const ticketPatterns = Object.values(this.getBranchTypes())
+      .map(({ ticketPattern }) => ticketPattern)
+      .filter(Boolean);
+    const entries = parseCommits(commits, this.getPrefixes(), this.getRemotes(), [...new Set(ticketPatterns)]);
+    return renderChangelogSection(version, entries);
+  }
+
+  /**
+   * Queue the changelog update of a release: prepend the new section and commit it on the release branch
+   * @param {string} version The version of the release
+   * @param {string} releaseBranchName The release branch
    * @returns {void}
-   * @throws {Error} If the configuration file is missing or invalid
    */
-  static async init(args) {
-    try {
-      console.log(ART, '\n');
-      console.log('🔧 Initializing Git Flow...\n');
-      const useDefaultConfig = args?.yes;
-      const configFileExists = fs.existsSync(GitFlow.configFilePath);
-
-      let defaultConfig = GitFlow.#defaultConfig;
-      // Check if config exists and prompt for overwrite
-      if (configFileExists) {
-        const { overwrite } = await inquirer.prompt([
+  updateChangelog(version, releaseBranchName) {
+    const file = this.config.changelogFile;
+    const section = this.generateChangelog(version, releaseBranchName);
+    const current = this.git.run(['show', `${releaseBranchName}:${file}`]);
+    const content = prependChangelog(current.code === 0 ? current.stdout : '', section);
+
+    console.info(`Update ${yellow(file)} on ${green(releaseBranchName)}`);
+    this.checkoutFlowBranch(releaseBranchName);
+    this.addFileWrite(file, content);
+    this.addCommand(['add', file]);
+    this.addCommand(['commit', '-m', `Update ${file} for v${version}`]);
+  }
+
+  /**
+   * Print the changelog section of a version, without finishing the release.
+   * The changes are read from the release branch if it exists, otherwise from the develop branch.
+   * @param {string} version The version
+   * @returns {string} The Markdown section
+   */
+  previewChangelog(version) {
+    if (!validateVersion(version)) throw new InvalidVersionError(`'${version}' is not a valid version number`);
+    const releaseBranchName = `${this.getBranchType('release').prefix}${version}`;
+    const branch = this.branchExistsLocal(releaseBranchName) ? releaseBranchName : this.config.developBranch;
+    const section = this.generateChangelog(version, branch);
+    console.info(section);
+    return section;
+  }
+
+  // 🔹 Git Flow initialization
+  /**
+   * Ask questions with inquirer, skipping those already answered.
+   * In non-interactive mode, a question without an answer is an error, unless its default is used.
+   * @param {object[]} questions The inquirer questions, with an optional `flag` naming the option that answers it
+   * @param {object} [answers] The answers given so far, completed in place
+   * @param {object} [options]
+   * @param {boolean} [options.useDefaults] Take the default of the questions without an answer
+   * @param {boolean} [options.nonInteractive] Never prompt
+   * @returns {Promise<object>} The answers
+   * @throws {InvalidArgumentError} If an answer is missing in non-interactive mode
+   */
+  static async prompt(questions, answers = {}, { useDefaults = false, nonInteractive = false } = {}) {
+    for (const { flag, ...question } of questions) {
+      if (answers[question.name] !== undefined) continue;
+      if (question.when && !question.when(answers)) continue;
+      if (useDefaults && question.default !== undefined) {
+        answers[question.name] = question.default;
+        continue;
+      }
+      if (nonInteractive) {
+        const hint = flag ? ` Use ${flag}.` : '';
+        const text = question.message.replace(/[.:?]$/, '');
+        throw new InvalidArgumentError(`Missing answer in non-interactive mode to '${text}'.${hint}`);
+      }
+      Object.assign(answers, await inquirer.prompt([question]));
+    }
+    return answers;
+  }
+
+  /**
+   * Ask questions with inquirer, see `GitFlow.prompt`, failing in non-interactive mode
+   * @param {object[]} questions The inquirer questions
+   * @returns {Promise<object>} The answers
+   * @throws {InvalidArgumentError} In non-interactive mode
+   */
+  prompt(questions) {
+    return GitFlow.prompt(questions, {}, { nonInteractive: this.options.nonInteractive });
+  }
+
+  /**
+   * Gitflow init. Every question can be answered in advance with `answers`, e.g. from the command line.
+   * @param {object} [args]
+   * @param {boolean} [args.yes] Take the existing or default configuration, and the defaults of the other questions,
+   * except overwriting an existing configuration
+   * @param {boolean} [args.dryRun] Print the planned commands without running them
+   * @param {boolean} [args.nonInteractive] Never prompt, a missing answer is an error
+   * @param {GitExecutor} [args.executor] Runs the git commands
+   * @param {object} [args.answers] `overwrite`, `useExistingConfig`, `mainBranch`, `developBranch`, `useStaging`,
+   * `stagingBranch`, `createBranches` and `createBranchesOnRemote`
+   * @returns {Promise<object|null>} What the initialization did, with the saved `config`, or null if cancelled
+   * @throws {GitFlowError} If the configuration is invalid, or a command fails
+   * @example await GitFlow.init({ yes: true, nonInteractive: true, answers: { overwrite: true } });
+   */
+  static async init(args = {}) {
+    console.log(ART, '\n');
+    console.log('🔧 Initializing Git Flow...\n');
+    const { yes: useDefaults = false, dryRun, nonInteractive = false } = args;
+    const answers = { ...args.answers };
+    const configFileExists = fs.existsSync(GitFlow.configFilePath);
+
+    let defaultConfig = GitFlow.#defaultConfig;
+    // Check if config exists and prompt for overwrite
+    if (configFileExists) {
+      // Overwriting is never implied by --yes
+      const { overwrite } = await GitFlow.prompt(
+        [
           {
             type: 'confirm',
             name: 'overwrite',
             message: 'Git Flow is already initialized. Do you want to overwrite the existing configuration?',
             default: false,
+            flag: '--overwrite or --no-overwrite',
           },
-        ]);
-        if (!overwrite) {
-          exitWithMessage('🚫 Initialization cancelled.');
-        }
+        ],
+        answers,
+        { nonInteractive }
+      );
+      if (!overwrite) {
+        console.info('🚫 Initialization cancelled.');
+        return null;
+      }
 
-        // Ask for use exists config or use default config
-        const { useExistingConfig } = await inquirer.prompt([
+      // Ask for use exists config or use default config
+      const { useExistingConfig } = await GitFlow.prompt(
+        [
           {
             type: 'confirm',
             name: 'useExistingConfig',
             message: 'Do you want to use the existing configuration or create a new one?',
             default: true,
+            flag: '--use-existing or --no-use-existing',
           },
-        ]);
-        if (useExistingConfig) {
-          // Load existing configuration
-          defaultConfig = JSON.parse(fs.readFileSync(GitFlow.configFilePath, 'utf8'));
-        }
+        ],
+        answers,
+        { useDefaults, nonInteractive }
+      );
+      if (useExistingConfig) {
+        // Load existing configuration
+        defaultConfig = GitFlow.parseConfig(fs.readFileSync(GitFlow.configFilePath, 'utf8'));
+      }
+    }
+
+    console.log("Let's configure Git Flow...");
+    const validateBranchName = (name) => {
+      try {
+        return Boolean(GitFlow.isValidBranchName(name));
+      } catch (error) {
+        return error.message;
       }
+    };
+    const configQuestions = [
+      {
+        type: 'input',
+        name: 'mainBranch',
+        message: 'Enter the name of your main branch:',
+        default: 'main',
+        validate: validateBranchName,
+        flag: '--main <branch>',
+      },
+      {
+        type: 'input',
+        name: 'developBranch',
+        message: 'Enter the name of your develop branch:',
+        default: 'develop',
+        validate: validateBranchName,
+        flag: '--develop <branch>',
+      },
+      {
+        type: 'confirm',
+        name: 'useStaging',
+        message: 'Would you like to use a staging branch for testing?',
+        default: false,
+        flag: '--staging <branch> or --no-staging',
+      },
+      {
+        type: 'input',
+        name: 'stagingBranch',
+        message: 'Enter the name of your staging branch:',
+        when: (given) => given.useStaging,
+        default: 'staging',
+        validate: validateBranchName,
+        flag: '--staging <branch>',
+      },
+      {
+        type: 'confirm',
+        name: 'createBranches',
+        message: 'Do you want to create the branches now?',
+        default: false,
+        flag: '--create-branches or --no-create-branches',
+      },
+    ];
+    // --yes takes the existing or default configuration
+    if (useDefaults) {
+      for (const { name } of configQuestions) answers[name] ??= defaultConfig[name];
+    }
+    await GitFlow.prompt(configQuestions, answers, { useDefaults, nonInteractive });
+
+    const config = { ...defaultConfig };
+    for (const { name } of configQuestions) {
+      if (answers[name] !== undefined) config[name] = answers[name];
+    }
+
+    const gitFlow = new GitFlow(config, { dryRun, nonInteractive, executor: args.executor });
+
+    const { mainBranch, developBranch, useStaging, stagingBranch, createBranches, debug } = gitFlow.getConfig();
+
+    if (debug) {
+      console.info(green('Configuration:'), gitFlow.getConfig());
+    }
 
-      console.log("Let's configure Git Flow...");
-      let config = useDefaultConfig
-        ? defaultConfig
-        : await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'mainBranch',
-              message: 'Enter the name of your main branch:',
-              default: 'main',
-              validate: GitFlow.isValidBranchName,
-            },
-            {
-              type: 'input',
-              name: 'developBranch',
-              message: 'Enter the name of your develop branch:',
-              default: 'develop',
-              validate: GitFlow.isValidBranchName,
-            },
-            {
-              type: 'confirm',
-              name: 'useStaging',
-              message: 'Would you like to use a staging branch for testing?',
-              default: false,
-            },
-            {
-              type: 'input',
-              name: 'stagingBranch',
-              message: 'Enter the name of your staging branch:',
-              when: (answers) => answers.useStaging,
-              default: 'staging',
-              validate: GitFlow.isValidBranchName,
-            },
-            {
-              type: 'confirm',
-              name: 'createBranches',
-              message: 'Do you want to create the branches now?',
-              default: false,
-            },
-          ]);
-
-      config = { ...defaultConfig, ...config };
-
-      const gitFlow = new GitFlow(config);
-
-      const { mainBranch, developBranch, useStaging, stagingBranch, createBranches, debug } = gitFlow.getConfig();
-
-      if (debug) {
-        console.error('Debug mode enabled do not save configuration file');
-        console.info(green('Configuration:'), gitFlow.getConfig());
-      }
-
-      // Ask for create branches on remote
-      const { createBranchesOnRemote } = await inquirer.prompt([
+    // Ask for create branches on remote
+    const { createBranchesOnRemote } = await GitFlow.prompt(
+      [
         {
           type: 'confirm',
           name: 'createBranchesOnRemote',
           message: 'Do you want to create the branches on remote?',
           default: false,
+          flag: '--remote-branches or --no-remote-branches',
         },
-      ]);
+      ],
+      answers,
+      { useDefaults, nonInteractive }
+    );
+
+    // Create branch for the config file
+    if (!gitFlow.branchExistsLocal(mainBranch)) {
+      console.info(`Creating '${mainBranch}' branch...`);
+      gitFlow.addCommand(['checkout', '-b', mainBranch]);
+    }
+
+    // Checkout main branch if not on main branch before commit config file
+    if (gitFlow.getPlannedBranch() !== mainBranch) {
+      console.info(`Switching to main branch: '${mainBranch}'`);
+      gitFlow.addCommand(['checkout', mainBranch]);
+    }
+
+    // Save configuration to file
+    const configContent = JSON.stringify(gitFlow.getConfig(), null, 2);
+    let configFileChanged;
+    if (dryRun) {
+      console.info(`Configuration file would be saved to ${GitFlow.configFilePath}`);
+      configFileChanged = !configFileExists || fs.readFileSync(GitFlow.configFilePath, 'utf8') !== configContent;
+    } else {
+      console.info('Create configuration file...');
+      console.info('Saving configuration file...');
+      fs.writeFileSync(GitFlow.configFilePath, configContent);
+      configFileChanged = gitFlow.configFileIsChanged() || !configFileExists;
+    }
+
+    // Add and commit configuration file to main branch and push
+    if (gitFlow.checkMergeConflicts()) {
+      throw new MergeConflictError('Please resolve merge conflicts and try again');
+    }
+
+    if (configFileChanged) {
+      console.info(`Commit & push configuration file to the ${mainBranch} branch...`);
+      gitFlow.addCommand(['add', GitFlow.configFileName]);
+      gitFlow.addCommand(['commit', '-m', 'Add gitflow configuration file']);
+      gitFlow.addCommand(['push', gitFlow.getRemote(mainBranch), mainBranch]);
+    }
+
+    // Create branches
+    if (createBranchesOnRemote) {
+      // Checkout main brach if not on main branch before commit config file
+      if (gitFlow.getPlannedBranch() !== mainBranch) {
+        console.info(`Switching to main branch: '${mainBranch}'`);
+        gitFlow.addCommand(['checkout', mainBranch]);
+      } else {
+        console.info(`Main branch '${mainBranch}' already exists, and you are on it`);
+      }
+
+      /**
+       * Create develop branch
+       */
+      // Check the develop branch is exists on remote, and if exists just pull it
+      if (gitFlow.branchExistsRemote(developBranch)) {
+        console.info(`'${developBranch}' branch is exists on remote, pull it...`);
+        gitFlow.addCommand(['checkout', developBranch]);
+        gitFlow.addCommand(['pull', gitFlow.getRemote(developBranch), developBranch]);
+      } else {
+        if (gitFlow.branchExistsLocal(developBranch)) {
+          gitFlow.addCommand(['branch', '-d', developBranch]);
+          console.info(`Creating develop branch: '${developBranch}'`);
+          gitFlow.addCommand(['checkout', '-b', developBranch, mainBranch]);
+        }
+        console.info(`Push develop branch to remote...`);
+        gitFlow.addCommand(['push', '-u', gitFlow.getRemote(developBranch), developBranch]);
+      }
+
+      /**
+       * Create staging branch
+       */
+      // Check the staging branch is exists on remote, and if exists just pull it
+      if (useStaging) {
+        if (gitFlow.branchExistsRemote(stagingBranch)) {
+          console.info(`'${stagingBranch}' branch is exists on remote, pull it...`);
+          gitFlow.addCommand(['checkout', stagingBranch]);
+          gitFlow.addCommand(['pull', gitFlow.getRemote(stagingBranch), stagingBranch]);
+        } else {
+          if (!gitFlow.branchExistsLocal(stagingBranch)) {
+            gitFlow.addCommand(['branch', '-d', stagingBranch]);
+            console.info(`Creating staging branch: '${stagingBranch}'`);
+            gitFlow.addCommand(['checkout', '-b', stagingBranch, developBranch]);
+          }
+          console.info(`Push staging branch to remote...`);
+          gitFlow.addCommand(['push', '-u', gitFlow.getRemote(stagingBranch), stagingBranch]);
+        }
+      }
+
+      // Switch to main branch
+      gitFlow.addCommand(['checkout', mainBranch]);
+    }
+
+    const result = gitFlow.runCommands({ type: 'init' });
+    if (dryRun) return { ...result, config: gitFlow.getConfig() };
+
+    console.info('\nGit Flow has been initialized with branches:');
+    console.info(`  - Main: ${mainBranch}`);
+    console.info(`  - Develop: ${developBranch}`);
+    if (useStaging) console.info(`  - Staging: ${stagingBranch}`);
+    if (createBranches) console.info('All branch is ready!');
+    console.info(`\nConfiguration file: ${GitFlow.configFilePath}`);
+    return { ...result, config: gitFlow.getConfig() };
+  }
+
+  /**
+   * Push the current branch to its remote
+   * @returns {object} What the push did, see `runCommands`
+   */
+  pushCurrentBranch() {
+    this.resetQueue();
+    const currentBranch = this.getCurrentBranchName();
+    const remote = this.getRemote(currentBranch);
+    this.addCommand(['push', remote, currentBranch]);
+    const result = this.runCommands({ type: 'push', branch: currentBranch });
+    if (!this.options.dryRun) messageWithBorder(`🚀 Pushed ${currentBranch} to ${remote}`);
+    return result;
+  }
+
+  // 🔹 Flow branch management
+  /**
+   * Start a new flow branch of any type, from the base branch of the type.
+   * A versioned type, like `release`, is named after its version: pass it, or compute it from the latest tag
+   * with `--major`, `--minor` or `--patch`. A tagged type without a name is named after the next patch version.
+   * A type with `fromSupport`, like `hotfix`, can start from a support branch instead of its base.
+   *
+   * @param {string} type The branch type, e.g. `feature`
+   * @param {string[]} [name] The name of the branch, without prefix
+   * @param {object} [options]
+   * @param {boolean} [options.major] Start the next major version of a versioned type
+   * @param {boolean} [options.minor] Start the next minor version of a versioned type
+   * @param {boolean} [options.patch] Start the next patch version of a versioned type
+   * @param {string} [options.base] The support branch to start from, e.g. `support/1.x`
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchExistsError} If the branch already exists
+   * @throws {InvalidBranchNameError} If the name breaks the naming rules
+   * @throws {InvalidVersionError} If the version is invalid, or already released
+   */
+  startBranch(type, name, options = {}) {
+    this.resetQueue();
+    const definition = this.getBranchType(type);
+    const supportBase = options.base;
+    if (supportBase) {
+      if (!definition.fromSupport) {
+        throw new InvalidArgumentError(`A ${type} branch cannot start from a support branch`);
+      }
+      if (!supportBase.startsWith(this.getSupportPrefix()) || !this.branchExistsLocal(supportBase)) {
+        throw new InvalidArgumentError(`${supportBase} is not a support branch`);
+      }
+    }
+    let version;
+    if (definition.versioned) {
+      const parts = ['major', 'minor', 'patch'].filter((part) => options[part]);
+      if (parts.length > 1) throw new InvalidArgumentError('Use only one of --major, --minor and --patch.');
+      if (parts.length === 1) {
+        if (name?.length) throw new InvalidArgumentError(`Use either a version or --${parts[0]}, not both.`);
+        name = this.getNextVersion(parts[0]);
+        console.info(`Next ${parts[0]} version: ${yellow(name)}`);
+      } else if (!name?.length) {
+        throw new InvalidArgumentError('Missing version. Pass a version, or one of --major, --minor and --patch.');
+      } else {
+        name = this.isValidVersion(name);
+      }
+      this.checkNewVersion(name);
+      version = name;
+    } else if (definition.tag && !name?.length) {
+      name = this.getNextVersion('patch', supportBase);
+      version = this.getTagVersion(name, supportBase);
+    } else {
+      if (!name?.length) throw new InvalidArgumentError(`Missing ${type} name.`);
+      name = this.toBranchName(type, name);
+      this.checkNamingPolicy(type, name);
+      if (definition.tag) version = this.getTagVersion(name, supportBase);
+    }
+    this.checkTicketKey(type, name);
+
+    const branchName = `${definition.prefix}${name}`;
+    const base = supportBase ?? this.resolveBranch(definition.base);
+    if (this.branchExistsLocal(branchName)) {
+      throw new BranchExistsError(`${branchName} already exists`);
+    }
+    messageWithBorder(`🚀 Start new ${type}`);
+
+    this.hookContext = { type, branch: branchName, version, base };
+    this.checkoutBranch(base);
+    this.addHook('preStart');
+    this.createBranch(branchName, base);
+    // Remembered in the git configuration, so that finishing merges back into the support branch
+    if (supportBase) this.addCommand(['config', `branch.${branchName}.gitflowBase`, supportBase]);
+    const result = this.runCommands({ type: `${type}:start`, branch: branchName, version });
+    if (this.options.dryRun) return result;
+
+    console.info('Summary of actions:');
+    console.info(` - You are now on branch ${green(branchName)}`);
+    if (definition.tag && !definition.versioned) {
+      console.info(` - The ${type} will be tagged ${yellow(`v${version}`)} when finished`);
+    }
+    console.info(`\nNow, start committing on your ${type} branch. When done, use:`);
+    console.info(`   gitflow ${type}:finish ${name}`);
+    console.info(`\n💚 ${bold('Done')}\n`);
+    return result;
+  }
+
+  /**
+   * Finish a flow branch of any type: merge it into every target of the type, tag the version after the
+   * first merge if the type is tagged, and delete the branch if the type says so.
+   * The `staging` target is skipped when staging is not enabled.
+   * A branch started from a support branch is merged back into it only, and tagged in its version line.
+   * The `rebase` strategy applies to the first target only, the next targets get a merge commit.
+   * With `"mergeMode": "pull-request"`, pull requests are opened instead, see `finishWithPullRequests`.
+   *
+   * @param {string} type The branch type, e.g. `feature`
+   * @param {string[]} name The name of the branch, without prefix
+   * @param {object} [options]
+   * @param {boolean} [options.forwardPort] Also merge a branch of a support branch into the develop branch
+   * @param {string} [options.strategy] The merge strategy for every target, overriding `mergeStrategy`
+   * @param {boolean} [options.complete] In pull-request mode, tag and clean up once the pull requests are merged
+   * @param {boolean} [options.wait] In pull-request mode, wait for the pull requests to be merged, then complete
+   * @returns {object|Promise<object>} What the operation did, see `runCommands`; a promise in pull-request mode
+   * @throws {BranchNotFoundError} If the branch does not exist
+   * @throws {MergeConflictError} If a merge stops on conflicts
+   */
+  finishBranch(type, name, options = {}) {
+    this.resetQueue();
+    const definition = this.getBranchType(type);
+    if (options.strategy && !GitFlow.mergeStrategies.includes(options.strategy)) {
+      throw new InvalidArgumentError(
+        `Invalid merge strategy '${options.strategy}'. Use one of: ${GitFlow.mergeStrategies.join(', ')}.`
+      );
+    }
+    name = definition.versioned ? this.isValidVersion(name) : this.toBranchName(type, name);
+    const branchName = `${definition.prefix}${name}`;
+    if (!this.branchExistsLocal(branchName)) {
+      throw new BranchNotFoundError(`${branchName} does not exist`);
+    }
+    const supportBase = this.getSupportBase(branchName);
+    if (options.forwardPort && !supportBase) {
+      throw new InvalidArgumentError(`${branchName} is not based on a support branch`);
+    }
+    const base = supportBase ?? this.resolveBranch(definition.base);
+    const pullRequestMode = this.config.mergeMode === 'pull-request';
+    if ((options.complete || options.wait) && !pullRequestMode) {
+      throw new InvalidArgumentError(`--complete and --wait only apply when 'mergeMode' is 'pull-request'`);
+    }
+    if (!options.complete && !definition.versioned && this.branchesMatch(branchName, base)) {
+      throw new GitFlowError(`No commits yet on ${branchName}`);
+    }
+    const version = definition.versioned ? name : definition.tag ? this.getTagVersion(name, supportBase) : undefined;
+    if (definition.versioned) this.checkNewVersion(version);
+    const targets = supportBase
+      ? [supportBase, ...(options.forwardPort ? [this.config.developBranch] : [])]
+      : this.getMergeTargets(type);
+    if (pullRequestMode) {
+      return this.finishWithPullRequests({ type, name, branchName, base, version, targets }, options);
+    }
+
+    messageWithBorder(`🚀 Finishing ${branchName}`);
+    this.hookContext = { type, branch: branchName, version, base };
+    this.checkoutFlowBranch(branchName);
+    this.addHook('preFinish');
+    if (definition.changelog && this.config.changelogFile) this.updateChangelog(version, branchName);
+
+    // The branch is rebased onto its first target only, rebasing it again would carry that target into the next
+    const strategies = targets
+      .map((target) => options.strategy ?? this.getMergeStrategy(type, target))
+      .map((strategy, index) => (index > 0 && strategy === 'rebase' ? 'no-ff' : strategy));
+    for (const [index, target] of targets.entries()) {
+      this.checkoutBranch(target);
+      this.mergeBranch(branchName, target, strategies[index]);
+      if (index === 0 && definition.tag) this.addTag(version);
+    }
 
-      // Create branch for the config file
-      if (!gitFlow.branchExistsLocal(mainBranch)) {
-        console.info(`Creating '${mainBranch}' branch...`);
-        gitFlow.addCommand(`git checkout -b ${mainBranch}`);
-      }
+    if (definition.deleteAfterFinish) this.deleteBranch(branchName, strategies.includes('squash'));
+    this.addHook('postFinish');
+    const result = this.runCommands({ type: `${type}:finish`, branch: branchName, version });
+    if (this.options.dryRun) return result;
 
-      // Checkout main branch if not on main branch before commit config file
-      if (gitFlow.getCurrentBranchName() !== mainBranch) {
-        console.info(`Switching to main branch: '${mainBranch}'`);
-        gitFlow.addCommand(`git checkout ${mainBranch}`);
-      }
+    if (!this.config.pushBranches) {
+      this.warn('Branches are not pushed to remote. Run `git push <remote> <branch>` to push');
+      return result;
+    }
 
-      // Save configuration to file
-      console.info('Create configuration file...');
-      console.info('Saving configuration file...');
-      fs.writeFileSync(GitFlow.configFilePath, JSON.stringify(gitFlow.getConfig(), null, 2));
+    messageWithBorder(definition.versioned ? '🎉 Congratulation for the new release 🥳' : `🚀 ${name} finished.`);
+    return result;
+  }
 
-      // Add and commit configuration file to main branch and push
-      if (gitFlow.checkMergeConflicts()) {
-        exitWithError('Please resolve merge conflicts and try again');
+  /**
+   * Sync a flow branch with its base, the base branch of its type or its support branch: fast-forward the base
+   * from its remote, then merge or rebase it into the flow branch, following the `syncStrategy` of the type.
+   * Merge conflicts pause the operation, see `continueOperation` and `abortOperation`.
+   *
+   * @param {string} type The branch type, e.g. `feature`
+   * @param {string|string[]} [name] The name of the branch, without prefix; the current branch if omitted
+   * @param {object} [options]
+   * @param {'merge'|'rebase'} [options.strategy] How the base is brought in, overriding `syncStrategy`
+   * @returns {object} What the operation did, see `runCommands`, with the `base`, and the `ahead` and `behind`
+   * counts of the branch against it `before` and `after` the sync
+   * @throws {InvalidArgumentError} If the strategy is invalid, or the current branch is not of the type
+   * @throws {BranchNotFoundError} If the branch or its base does not exist
+   * @throws {DirtyWorkingTreeError} If the working tree has uncommitted changes
+   * @throws {MergeConflictError} If the merge or the rebase stops on conflicts
+   */
+  syncBranch(type, name, options = {}) {
+    this.resetQueue();
+    const definition = this.getBranchType(type);
+    const strategy = options.strategy ?? definition.syncStrategy;
+    if (!GitFlow.syncStrategies.includes(strategy)) {
+      throw new InvalidArgumentError(
+        `Invalid sync strategy '${strategy}'. Use one of: ${GitFlow.syncStrategies.join(', ')}.`
+      );
+    }
+    if (name === undefined || name.length === 0) {
+      name = this.getCurrentFlowName(type);
+      if (name === undefined) {
+        throw new InvalidArgumentError(`The current branch is not a ${type} branch. Give the branch to sync.`);
       }
+    }
+    name = definition.versioned ? this.isValidVersion(name) : this.toBranchName(type, name);
+    const branchName = `${definition.prefix}${name}`;
+    if (!this.branchExistsLocal(branchName)) throw new BranchNotFoundError(`${branchName} does not exist`);
+    const base = this.getSupportBase(branchName) ?? this.resolveBranch(definition.base);
+    if (!this.branchExistsLocal(base)) throw new BranchNotFoundError(`${base} does not exist`);
+    this.checkWorkingTreeClean();
 
-      if (gitFlow.configFileIsChanged() || !configFileExists) {
-        console.info(`Commit & push configuration file to the ${mainBranch} branch...`);
-        gitFlow.addCommand(`git add ${GitFlow.configFileName}`);
-        gitFlow.addCommand(`git commit -m "Add gitflow configuration file"`);
-        gitFlow.addCommand(`git push origin ${mainBranch}`);
-      }
+    messageWithBorder(`🔄 Syncing ${branchName} with ${base}`);
+    const before = this.compareBranches(branchName, base);
+    console.info(`Before: ${before.ahead} ahead, ${before.behind} behind ${base}`);
 
-      // Create branches
-      if (createBranchesOnRemote) {
-        // Checkout main brach if not on main branch before commit config file
-        if (gitFlow.getCurrentBranchName() !== mainBranch) {
-          console.info(`Switching to main branch: '${mainBranch}'`);
-          gitFlow.addCommand(`git checkout ${mainBranch}`);
-        } else {
-          console.info(`Main branch '${mainBranch}' already exists, and you are on it`);
-        }
+    // The base only moves forward, a base that diverged from its remote fails the sync
+    if (this.branchExistsRemote(base)) {
+      if (this.getPlannedBranch() !== base) this.addCommand(['checkout', base]);
+      this.addCommand(['pull', '--ff-only', this.getRemote(base), base]);
+    }
+    if (strategy === 'rebase') {
+      this.addCommand(['rebase', base, branchName]);
+    } else {
+      if (this.getPlannedBranch() !== branchName) this.addCommand(['checkout', branchName]);
+      this.addCommand(['merge', '--no-edit', base]);
+    }
 
-        /**
-         * Create develop branch
-         */
-        // Check the develop branch is exists on remote, and if exists just pull it
-        if (gitFlow.branchExistsRemote(developBranch)) {
-          console.info(`'${developBranch}' branch is exists on remote, pull it...`);
-          gitFlow.addCommand(`git checkout ${developBranch}`);
-          gitFlow.addCommand(`git pull origin ${developBranch}`);
-        } else {
-          if (gitFlow.branchExistsLocal(developBranch)) {
-            gitFlow.addCommand(`git branch -d ${developBranch}`);
-            console.info(`Creating develop branch: '${developBranch}'`);
-            gitFlow.addCommand(`git checkout -b ${developBranch} ${mainBranch}`);
-          }
-          console.info(`Push develop branch to remote...`);
-          gitFlow.addCommand(`git push -u origin ${developBranch}`);
-        }
+    const result = { ...this.runCommands({ type: `${type}:sync`, branch: branchName }), base };
+    if (this.options.dryRun) return { ...result, before, after: null };
 
-        /**
-         * Create staging branch
-         */
-        // Check the staging branch is exists on remote, and if exists just pull it
-        if (useStaging) {
-          if (gitFlow.branchExistsRemote(stagingBranch)) {
-            console.info(`'${stagingBranch}' branch is exists on remote, pull it...`);
-            gitFlow.addCommand(`git checkout ${stagingBranch}`);
-            gitFlow.addCommand(`git pull origin ${stagingBranch}`);
-          } else {
-            if (!gitFlow.branchExistsLocal(stagingBranch)) {
-              gitFlow.addCommand(`git branch -d ${stagingBranch}`);
-              console.info(`Creating staging branch: '${stagingBranch}'`);
-              gitFlow.addCommand(`git checkout -b ${stagingBranch} ${developBranch}`);
-            }
-            console.info(`Push staging branch to remote...`);
-            gitFlow.addCommand(`git push -u origin ${stagingBranch}`);
-          }
-        }
+    const after = this.compareBranches(branchName, base);
+    console.info(`After: ${after.ahead} ahead, ${after.behind} behind ${base}`);
+    if (strategy === 'rebase' && this.branchExistsRemote(branchName)) {
+      this.warn(`${branchName} is rebased, push it with 'git push --force-with-lease' to update the remote`);
+    }
+    console.info(`\n💚 ${bold('Done')}\n`);
+    return { ...result, before, after };
+  }
 
-        // Switch to main branch
-        gitFlow.addCommand(`git checkout ${mainBranch}`);
-      }
+  /**
+   * Get the branch types: the built-in ones, overridden and extended by the `branchTypes` configuration
+   *
+   * @returns {object} The branch type definitions, by type
+   */
+  getBranchTypes() {
+    return GitFlow.resolveBranchTypes(this.config);
+  }
 
-      gitFlow.runCommands();
+  /**
+   * Get the definition of a branch type
+   *
+   * @param {string} type The branch type, e.g. `feature`
+   * @returns {object} The definition, with `prefix`, `base`, `mergeInto`, `tag`, `deleteAfterFinish`,
+   * `versioned`, `changelog`, `fromSupport`, `mergeStrategy`, `syncStrategy`, `hooks` and `ticketPattern`
+   */
+  getBranchType(type) {
+    const definition = this.getBranchTypes()[type];
+    if (!definition) throw new InvalidArgumentError(`Unknown branch type '${type}'`);
+    return definition;
+  }
 
-      console.info('\nGit Flow has been initialized with branches:');
-      console.info(`  - Main: ${mainBranch}`);
-      console.info(`  - Develop: ${developBranch}`);
-      if (useStaging) console.info(`  - Staging: ${stagingBranch}`);
-      if (createBranches) console.info('All branch is ready!');
-      console.info(`\nConfiguration file: ${GitFlow.configFilePath}`);
-    } catch (error) {
-      console.error(error?.message || error);
+  /**
+   * @returns {object} The prefix of every branch type, by type
+   */
+  getPrefixes() {
+    return Object.fromEntries(Object.entries(this.getBranchTypes()).map(([type, { prefix }]) => [type, prefix]));
+  }
+
+  /**
+   * Resolve a branch of a branch type definition: `main`, `develop` and `staging` refer to the configured
+   * branches, anything else is a branch name
+   *
+   * @param {string} branch The branch from the definition
+   * @returns {string} The name of the branch
+   */
+  resolveBranch(branch) {
+    if (branch === 'main') return this.config.mainBranch;
+    if (branch === 'develop') return this.config.developBranch;
+    if (branch === 'staging') {
+      if (!this.config.useStaging) throw new InvalidConfigError('Staging branch is not enabled in the configuration');
+      return this.config.stagingBranch;
     }
+    return branch;
   }
 
-  pushCurrentBranch() {
-    const currentBranch = this.getCurrentBranchName();
-    this.addCommand(`git push origin ${currentBranch}`);
-    this.runCommands();
-    messageWithBorder(`🚀 Pushed ${currentBranch} to remote`);
+  /**
+   * Get the branches a branch type is merged into when finished, in order
+   *
+   * @param {string} type The branch type
+   * @returns {string[]} The names of the target branches
+   */
+  getMergeTargets(type) {
+    return this.getBranchType(type)
+      .mergeInto.filter((target) => target !== 'staging' || this.config.useStaging)
+      .map((target) => this.resolveBranch(target));
+  }
+
+  /**
+   * Get the merge strategy of a branch type for a target branch.
+   * `mergeStrategy` is either one strategy for every target, or an object by target: `main`, `develop`,
+   * `staging`, `support` or a branch name, with an optional `default`.
+   *
+   * @param {string} type The branch type
+   * @param {string} target The name of the target branch
+   * @returns {'no-ff'|'ff'|'squash'|'rebase'} The merge strategy
+   * @example gitFlow.getMergeStrategy('feature', 'develop'); // 'squash' with { "develop": "squash" }
+   */
+  getMergeStrategy(type, target) {
+    const { mergeStrategy } = this.getBranchType(type);
+    if (typeof mergeStrategy === 'string') return mergeStrategy;
+
+    const { mainBranch, developBranch, stagingBranch } = this.config;
+    let key = target;
+    if (target === mainBranch) key = 'main';
+    else if (target === developBranch) key = 'develop';
+    else if (stagingBranch && target === stagingBranch) key = 'staging';
+    else if (target.startsWith(this.getSupportPrefix())) key = 'support';
+    return mergeStrategy[key] ?? mergeStrategy[target] ?? mergeStrategy.default ?? 'no-ff';
   }
 
   // 🔹 Feature branch management
   /**
    * Start a new feature branch
    * @param {string} name The name of the feature branch
-   * @returns {void}
-   * @throws {Error} If the feature branch already exists
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchExistsError} If the feature branch already exists
+   * @throws {InvalidBranchNameError} If the name breaks the naming rules
    */
   startFeature(name) {
-    name = GitFlow.isValidBranchName(name);
-    const featureBranchName = `${this.config.prefixes.feature}${name}`;
-    if (this.branchExistsLocal(featureBranchName)) {
-      exitWithError(`${featureBranchName} already exists`);
-    }
-    messageWithBorder(`🚀 Start new feature`);
-
-    this.checkoutToDevelop();
-    this.createBranch(featureBranchName, this.config.developBranch);
-    this.runCommands();
-
-    console.info('Summary of actions:');
-    console.info(` - You are now on branch ${green(featureBranchName)}`);
-    console.info(`\nNow, start committing on your feature branch. When done, use:`);
-    console.info(`   gitflow feature:test ${name}`);
-    console.info(`\n💚 ${bold('Done')}\n`);
+    return this.startBranch('feature', name);
   }
 
   /**
    * Test a feature branch
    *
    * @param {string} name The name of the feature branch
-   * @returns {void}
-   * @throws {Error} If the feature branch does not exist
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchNotFoundError} If the feature branch does not exist
    */
   testFeature(name) {
+    this.resetQueue();
     if (!this.config.useStaging) {
-      exitWithError('Staging branch is not enabled in the configuration');
+      throw new InvalidConfigError('Staging branch is not enabled in the configuration');
     }
-    name = GitFlow.isValidBranchName(name);
-    const featureBranchName = `${this.config.prefixes.feature}${name}`;
+    name = this.toBranchName('feature', name);
+    const featureBranchName = `${this.getBranchType('feature').prefix}${name}`;
     if (!this.branchExistsLocal(featureBranchName)) {
-      exitWithError(`${featureBranchName} does not exist`);
+      throw new BranchNotFoundError(`${featureBranchName} does not exist`);
     }
     if (this.branchesMatch(featureBranchName, this.config.developBranch)) {
-      exitWithError(`No commits yet on ${featureBranchName}`);
+      throw new GitFlowError(`No commits yet on ${featureBranchName}`);
     }
 
     messageWithBorder(`🚀 Push '${featureBranchName}' to ${this.config.stagingBranch}`);
 
     this.checkoutToStaging();
     this.mergeBranch(featureBranchName, this.config.stagingBranch);
-    this.pushBranch();
-    this.runCommands();
+    const result = this.runCommands({ type: 'feature:test', branch: featureBranchName });
+    if (this.options.dryRun) return result;
 
     console.info('Summary of actions:');
     console.info(` - You are now on branch ${green(this.config.stagingBranch)}`);
@@ -738,195 +2726,772 @@ class GitFlow {
     console.info(`   gitflow feature:finish ${name}`);
 
     console.info(`\n💚 ${bold('Done')}\n`);
+    return result;
   }
 
   /**
    * Finish a feature branch
-   *
    * @param {string} name The name of the feature branch
-   * @returns {void}
-   * @throws {Error} If the feature branch does not exist
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchNotFoundError} If the feature branch does not exist
+   * @throws {MergeConflictError} If a merge stops on conflicts
    */
   finishFeature(name) {
-    name = GitFlow.isValidBranchName(name);
-    const featureBranchName = `${this.config.prefixes.feature}${name}`;
-    if (!this.branchExistsLocal(featureBranchName)) {
-      exitWithError(`${featureBranchName} does not exist`);
-    }
-    if (this.branchesMatch(featureBranchName, this.config.developBranch)) {
-      exitWithError(`No commits yet on ${featureBranchName}`);
-    }
-
-    this.checkoutToDevelop();
-    this.mergeBranch(featureBranchName, this.config.developBranch);
-    this.pushBranch();
-    this.deleteBranch(featureBranchName);
-
-    this.runCommands();
-
-    messageWithBorder(`🚀 ${name} finished.`);
+    return this.finishBranch('feature', name);
   }
 
   // 🔹 Release branch management
   /**
    * Start a new release branch
-   *
-   * @param {string} version The version number for the release
-   * @returns {void}
-   * @throws {Error} If the version number is invalid
+   * @param {string[]} [version] The version number for the release
+   * @param {object} [options] `major`, `minor` or `patch`, to compute the version from the latest tag
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {InvalidVersionError} If the version is invalid, or already released
+   * @throws {BranchExistsError} If the release branch already exists
    */
-  startRelease(version) {
-    version = this.isValidVersion(version);
-    const releaseBranchName = `${this.config.prefixes.release}${version}`;
-    if (this.branchExistsLocal(releaseBranchName)) {
-      exitWithError(`${releaseBranchName} already exists`);
-    }
-    messageWithBorder(`🚀 Start new release`);
-    this.checkoutToDevelop();
-    this.createBranch(releaseBranchName, this.config.developBranch);
-    this.runCommands();
+  startRelease(version, options) {
+    return this.startBranch('release', version, options);
   }
 
   /**
    * Finish a release branch
    * @param {string} version The version number for the release
-   * @returns {void}
-   * @throws {Error} If the version number is invalid
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {InvalidVersionError} If the version is invalid, or already released
+   * @throws {BranchNotFoundError} If the release branch does not exist
+   * @throws {MergeConflictError} If a merge stops on conflicts
    */
   finishRelease(version) {
-    version = this.isValidVersion(version);
-    const releaseBranchName = `${this.config.prefixes.release}${version}`;
-    if (!this.branchExistsLocal(releaseBranchName)) {
-      exitWithError(`${releaseBranchName} does not exist`);
-    }
-
-    messageWithBorder(`🚀 Finishing ${releaseBranchName}`);
-    this.checkoutToMain();
-    this.mergeBranch(releaseBranchName, this.config.mainBranch);
-    this.addTag(version);
-
-    this.checkoutToDevelop();
-    this.mergeBranch(releaseBranchName, this.config.developBranch);
+    return this.finishBranch('release', version);
+  }
 
-    if (this.config.useStaging) {
-      this.checkoutToStaging();
-      this.mergeBranch(releaseBranchName, this.config.stagingBranch);
+  /**
+   * Tag the next release candidate on an open release branch, without finishing it
+   * @param {string} version The version of the release branch
+   * @returns {object} What the operation did, see `runCommands`
+   * @example gitFlow.tagReleaseCandidate('2.0.0'); // Tags v2.0.0-rc.1, then v2.0.0-rc.2, ...
+   */
+  tagReleaseCandidate(version) {
+    this.resetQueue();
+    version = this.isValidVersion(version);
+    if (parseVersion(version).prerelease.length > 0) {
+      throw new InvalidVersionError(
+        `Use the version of the release branch, without pre-release: ${version.split('-')[0]}`
+      );
     }
-
-    this.deleteBranch(releaseBranchName);
-    this.runCommands();
-
-    if (!this.config.pushBranches) {
-      console.info(red('Branches are not pushed to remote. Run `git push origin <branch>` to push'));
-      return;
+    const releaseBranchName = `${this.getBranchType('release').prefix}${version}`;
+    if (!this.branchExistsLocal(releaseBranchName)) {
+      throw new BranchNotFoundError(`${releaseBranchName} does not exist`);
     }
 
-    messageWithBorder('🎉 Congratulation for the new release 🥳');
+    const candidates = this.getVersionTags()
+      .filter((tag) => tag.startsWith(`${version}-rc.`))
+      .map((tag) => parseVersion(tag).prerelease)
+      .filter((prerelease) => prerelease.length === 2 && /^\d+$/.test(prerelease[1]))
+      .map(([, number]) => Number(number));
+    const candidate = `${version}-rc.${Math.max(0, ...candidates) + 1}`;
+    this.checkNewVersion(candidate);
+
+    messageWithBorder(`🚀 Release candidate ${candidate}`);
+    this.addTag(candidate, releaseBranchName);
+    return this.runCommands({ type: 'release:rc', branch: releaseBranchName, version: candidate });
   }
 
   // 🔹 Bugfix branch management
   /**
    * Start a new bugfix branch
    * @param {string} name The name of the bugfix branch
-   * @returns {void}
-   * @throws {Error} If the bugfix branch already exists
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchExistsError} If the bugfix branch already exists
+   * @throws {InvalidBranchNameError} If the name breaks the naming rules
    */
   startBugfix(name) {
-    name = GitFlow.isValidBranchName(name);
-    const bugfixBranchName = `${this.config.prefixes.bugfix}${name}`;
-    if (this.branchExistsLocal(bugfixBranchName)) {
-      exitWithError(`${bugfixBranchName} already exists`);
-    }
-    messageWithBorder(`🚀 Start new bugfix`);
-    this.checkoutToDevelop();
-    this.createBranch(bugfixBranchName, this.config.developBranch);
-    this.runCommands();
+    return this.startBranch('bugfix', name);
   }
 
   /**
    * Finish a bugfix branch
    * @param {string} name The name of the bugfix branch
-   * @returns {void}
-   * @throws {Error} If the bugfix branch does not exist
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchNotFoundError} If the bugfix branch does not exist
+   * @throws {MergeConflictError} If a merge stops on conflicts
    */
   finishBugfix(name) {
+    return this.finishBranch('bugfix', name);
+  }
+
+  // 🔹 Hotfix branch management
+  /**
+   * Start a new hotfix branch.
+   * Without a name, the branch is named after the next patch version.
+   * @param {string[]} [name] The name of the hotfix branch
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchExistsError} If the hotfix branch already exists
+   * @throws {InvalidBranchNameError} If the name breaks the naming rules
+   */
+  startHotfix(name) {
+    return this.startBranch('hotfix', name);
+  }
+
+  /**
+   * Finish a hotfix branch
+   * @param {string} name The name of the hotfix branch
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchNotFoundError} If the hotfix branch does not exist
+   * @throws {MergeConflictError} If a merge stops on conflicts
+   */
+  finishHotfix(name) {
+    return this.finishBranch('hotfix', name);
+  }
+
+  // 🔹 Support branch management
+  /**
+   * Start a long-lived support branch from a version tag, to maintain an older version line
+   * @param {string[]} name The name of the support branch, without prefix, e.g. `1.x`
+   * @param {string} tag The version tag to start from, with or without the `v` prefix
+   * @returns {object} What the operation did, see `runCommands`
+   * @throws {BranchExistsError} If the support branch already exists
+   * @throws {InvalidVersionError} If the tag does not exist
+   * @example gitFlow.startSupport(['1.x'], 'v1.4.2');
+   */
+  startSupport(name, tag) {
+    this.resetQueue();
     name = GitFlow.isValidBranchName(name);
-    const bugfixBranchName = `${this.config.prefixes.bugfix}${name}`;
-    if (!this.branchExistsLocal(bugfixBranchName)) {
-      exitWithError(`${bugfixBranchName} does not exist`);
+    const branchName = `${this.getSupportPrefix()}${name}`;
+    if (this.branchExistsLocal(branchName)) {
+      throw new BranchExistsError(`${branchName} already exists`);
     }
-    if (this.branchesMatch(bugfixBranchName, this.config.developBranch)) {
-      exitWithError(`No commits yet on ${bugfixBranchName}`);
+    const tagName = tag.startsWith('v') ? tag : `v${tag}`;
+    if (!validateVersion(tagName.slice(1))) throw new InvalidVersionError(`Invalid version tag: ${tag}`);
+    if (this.git.run(['rev-parse', '--verify', '--quiet', `refs/tags/${tagName}`]).code !== 0) {
+      throw new InvalidVersionError(`Tag ${tagName} does not exist`);
     }
+    messageWithBorder('🚀 Start new support branch');
+
+    this.createBranch(branchName, tagName);
+    if (this.config.pushBranches) this.pushBranch();
+    const result = this.runCommands({ type: 'support:start', branch: branchName, version: tagName.slice(1) });
+    if (this.options.dryRun) return result;
+
+    console.info('Summary of actions:');
+    console.info(` - You are now on branch ${green(branchName)}`);
+    console.info(`\nFix the ${name} line with hotfixes based on it:`);
+    console.info(`   gitflow hotfix:start --base ${branchName}`);
+    console.info(`\n💚 ${bold('Done')}\n`);
+    return result;
+  }
+
+  /**
+   * @returns {string} The prefix of support branches
+   */
+  getSupportPrefix() {
+    return this.config.prefixes.support ?? GitFlow.#defaultConfig.prefixes.support;
+  }
+
+  /**
+   * Get the support branch a flow branch was started from
+   * @param {string} branchName The name of the flow branch
+   * @returns {string|undefined} The name of the support branch, if any
+   */
+  getSupportBase(branchName) {
+    const { stdout } = this.git.run(['config', '--get', `branch.${branchName}.gitflowBase`]);
+    return stdout.trim() || undefined;
+  }
 
-    messageWithBorder(`🚀 Finishing ${bugfixBranchName}`);
-    this.checkoutToDevelop();
-    this.mergeBranch(bugfixBranchName, this.config.developBranch);
-    if (this.config.useStaging) {
-      this.checkoutToStaging();
-      this.mergeBranch(bugfixBranchName, this.config.stagingBranch);
+  // 🔹 Ticket keys
+  /**
+   * Check that the name of a new branch contains a ticket key, if its branch type requires one
+   * @param {string} type The branch type
+   * @param {string} name The name of the branch, without prefix
+   * @returns {boolean} True if the name is valid
+   * @throws {InvalidBranchNameError} If the name does not match the `ticketPattern` of the type
+   * @example gitFlow.checkTicketKey('feature', 'PROJ-123-login'); // with { "ticketPattern": "PROJ-\\d+" }
+   */
+  checkTicketKey(type, name) {
+    const { ticketPattern } = this.getBranchType(type);
+    if (ticketPattern && !new RegExp(ticketPattern).test(name)) {
+      throw new InvalidBranchNameError(
+        `Missing ticket key in '${name}'. The name of a ${type} branch must match /${ticketPattern}/.`
+      );
     }
-    this.deleteBranch(bugfixBranchName);
+    return true;
+  }
 
-    this.runCommands();
+  /**
+   * Get the ticket key from the name of a flow branch
+   * @param {string} branchName The name of the branch, with prefix
+   * @returns {string|undefined} The ticket key, if the branch type has a `ticketPattern` and the name matches it
+   * @example gitFlow.getTicketKey('feature/PROJ-123-login'); // 'PROJ-123'
+   */
+  getTicketKey(branchName) {
+    const types = this.getBranchTypes();
+    const definition = Object.values(types).find(({ prefix }) => branchName.startsWith(prefix));
+    if (!definition?.ticketPattern) return undefined;
+    return branchName.slice(definition.prefix.length).match(new RegExp(definition.ticketPattern))?.[0];
+  }
 
-    if (!this.config.pushBranches) {
-      console.info(red('Branches are not pushed to remote. Run `git push origin <branch>` to push'));
-      return;
+  /**
+   * Install the `prepare-commit-msg` git hook, which prefixes commit messages with the ticket key of the branch
+   * @param {boolean} [force] Overwrite an existing hook that was not installed by Git Flow
+   * @returns {{ dryRun: boolean, path: string }} The path of the hook
+   */
+  installCommitMessageHook(force = false) {
+    const hooksDir = this.git.run(['rev-parse', '--git-path', 'hooks']).stdout.trim();
+    const hookPath = path.join(hooksDir, 'prepare-commit-msg');
+    const marker = '# Installed by gitflow';
+    const existing = this.git.readFile(hookPath);
+    if (existing !== null && !force && !existing.includes(marker)) {
+      throw new GitFlowError(`${hookPath} already exists. Use --force to overwrite it.`);
     }
+    const script = [
+      '#!/bin/sh',
+      `${marker}: prefix commit messages with the ticket key of the branch`,
+      `exec node "${GitFlow.cliPath}" prepare-commit-msg "$@"`,
+      '',
+    ].join('\n');
+    if (this.options.dryRun) {
+      console.info(`\n${bold('Plan')} (dry run, nothing is changed):\n  write ${hookPath}\n\n${script}`);
+      return { dryRun: true, path: hookPath };
+    }
+    const { code, stderr } = this.git.writeFile(hookPath, script, { mode: 0o755 });
+    if (code !== 0) throw new GitFlowError(`Could not install ${hookPath}: ${stderr}`);
+    console.info(`Installed ${green(hookPath)}`);
+    return { dryRun: false, path: hookPath };
   }
 
-  // 🔹 Hotfix branch management
   /**
-   * Start a new hotfix branch
-   * @param {string} name The name of the hotfix branch
+   * Prefix a commit message with the ticket key of the current branch, called by the `prepare-commit-msg` hook.
+   * Merges, squashes and amended commits are left as they are, as are messages already mentioning the key.
+   * @param {string} file The file holding the commit message
+   * @param {string} [source] The source of the message, as passed by git
    * @returns {void}
-   * @throws {Error} If the hotfix branch already exists
    */
-  startHotfix(name) {
-    name = GitFlow.isValidBranchName(name);
-    const hotfixBranchName = `${this.config.prefixes.hotfix}${name}`;
-    if (this.branchExistsLocal(hotfixBranchName)) {
-      exitWithError(`${hotfixBranchName} already exists`);
+  prepareCommitMessage(file, source) {
+    if (['merge', 'squash', 'commit'].includes(source)) return;
+    const ticketKey = this.getTicketKey(this.getCurrentBranchName());
+    if (!ticketKey) return;
+    const message = fs.readFileSync(file, 'utf8');
+    if (message.includes(ticketKey)) return;
+    fs.writeFileSync(file, `${ticketKey} ${message}`);
+  }
+
+  // 🔹 Branch naming
+  /**
+   * Turn the name given on the command line into a branch name, without prefix.
+   * Several words are joined into a slug, see `slugify`, keeping the case of the ticket key.
+   * @param {string} type The branch type
+   * @param {string|string[]} name The name, or its words
+   * @returns {string} The name of the branch
+   * @example gitFlow.toBranchName('feature', ['Add', 'user', 'avatar', 'upload']); // 'add-user-avatar-upload'
+   */
+  toBranchName(type, name) {
+    const words = [name].flat();
+    if (words.length <= 1) return GitFlow.isValidBranchName(words[0] ?? '');
+    return GitFlow.isValidBranchName(this.slugifyName(type, words));
+  }
+
+  /**
+   * @param {string} type The branch type
+   * @param {string|string[]} words The words of the name
+   * @returns {string} The slug, with the ticket key and the case of the naming policy
+   */
+  slugifyName(type, words) {
+    let slug = slugify(words);
+    const { ticketPattern } = this.getBranchType(type);
+    const ticketKey = ticketPattern && [words].flat().join(' ').match(new RegExp(ticketPattern))?.[0];
+    if (ticketKey) slug = slug.replace(slugify(ticketKey), ticketKey);
+    return this.config.naming?.case === 'upper' ? slug.toUpperCase() : slug;
+  }
+
+  /**
+   * List how a branch name breaks the `naming` policy: `pattern`, `maxLength` of the name without prefix,
+   * `forbiddenWords` and `case` (`lower`, `upper` or `any`). The ticket key is exempt from the case rule.
+   * @param {string} type The branch type
+   * @param {string} name The name of the branch, without prefix
+   * @returns {string[]} The broken rules, empty if the name is valid
+   */
+  getNamingProblems(type, name) {
+    const { pattern, maxLength, forbiddenWords = [], case: letterCase = 'any' } = this.config.naming ?? {};
+    const problems = [];
+    const ticketKey = this.getTicketKey(`${this.getBranchType(type).prefix}${name}`);
+    const caseChecked = ticketKey ? name.replace(ticketKey, '') : name;
+    if (letterCase === 'lower' && caseChecked !== caseChecked.toLowerCase()) problems.push('must be lowercase');
+    if (letterCase === 'upper' && caseChecked !== caseChecked.toUpperCase()) problems.push('must be uppercase');
+    if (maxLength && name.length > maxLength) problems.push(`must be at most ${maxLength} characters`);
+    const forbidden = forbiddenWords.map((word) => word.toLowerCase());
+    const found = name
+      .toLowerCase()
+      .split(/[-_./]+/)
+      .filter((word) => forbidden.includes(word));
+    if (found.length > 0) problems.push(`must not contain ${found.map((word) => `'${word}'`).join(', ')}`);
+    if (pattern && !new RegExp(pattern).test(name)) problems.push(`must match /${pattern}/`);
+    return problems;
+  }
+
+  /**
+   * Check a new branch name against the naming policy, and suggest a valid name if it breaks it
+   * @param {string} type The branch type
+   * @param {string} name The name of the branch, without prefix
+   * @returns {boolean} True if the name is valid
+   * @throws {InvalidBranchNameError} If the name breaks the naming policy, with a suggestion if there is one
+   */
+  checkNamingPolicy(type, name) {
+    const problems = this.getNamingProblems(type, name);
+    if (problems.length === 0) return true;
+    const suggestion = this.suggestBranchName(type, name);
+    const hint = suggestion ? ` Try '${suggestion}'.` : '';
+    throw new InvalidBranchNameError(`Invalid ${type} name '${name}': ${problems.join('; ')}.${hint}`);
+  }
+
+  /**
+   * Suggest a name following the naming policy: slugified, without forbidden words, shortened word by word
+   * @param {string} type The branch type
+   * @param {string} name The invalid name
+   * @returns {string|undefined} The suggestion, if one follows the policy
+   */
+  suggestBranchName(type, name) {
+    const { maxLength, forbiddenWords = [] } = this.config.naming ?? {};
+    const forbidden = forbiddenWords.map((word) => word.toLowerCase());
+    let words = this.slugifyName(type, name)
+      .split('-')
+      .filter((word) => !forbidden.includes(word.toLowerCase()));
+    while (maxLength && words.length > 1 && words.join('-').length > maxLength) words = words.slice(0, -1);
+    const suggestion = words.join('-');
+    return suggestion && this.getNamingProblems(type, suggestion).length === 0 ? suggestion : undefined;
+  }
+
+  // 🔹 Interactive mode
+  /**
+   * Ask for a local or remote flow branch, showing its last commit.
+   * The current branch is preselected when it is in the list.
+   * @param {string} [type] The branch type; without it, every flow branch and the main, develop and staging branches
+   * @returns {Promise<string>} The name of the selected branch
+   */
+  async selectBranch(type) {
+    const { mainBranch, developBranch, useStaging, stagingBranch } = this.config;
+    const branches = this.getFlowBranches().filter((branch) => !type || branch.type === type);
+    if (!type) {
+      const baseBranches = [mainBranch, developBranch, ...(useStaging ? [stagingBranch] : [])];
+      branches.unshift(...baseBranches.filter((name) => this.branchExistsLocal(name)).map((name) => ({ name })));
     }
-    messageWithBorder(`🚀 Start new hotfix`);
-    this.checkoutToMain();
-    this.createBranch(hotfixBranchName, this.config.mainBranch);
-    this.runCommands();
+    if (branches.length === 0) throw new BranchNotFoundError(type ? `No ${type} branches.` : 'No branches.');
+
+    const current = this.getCurrentBranchName();
+    const { branch } = await this.prompt([
+      {
+        type: 'select',
+        name: 'branch',
+        message: type ? `Select a ${type} branch:` : 'Select a branch:',
+        flag: 'a branch name argument',
+        choices: branches.map(({ name, local, remote, date, author, subject }) => {
+          const location = [local && 'local', remote && 'remote'].filter(Boolean).join('+');
+          const details = date ? ` (${location}) ${date} by ${author}: ${subject}` : '';
+          return { name: `${name}${details}`, value: name };
+        }),
+        default: branches.some(({ name }) => name === current) ? current : undefined,
+      },
+    ]);
+    return branch;
   }
 
   /**
-   * Finish a hotfix branch
-   * @param {string} name The name of the hotfix branch
-   * @returns {void}
-   * @throws {Error} If the hotfix branch does not exist
+   * Ask for a branch of a type to work on, e.g. to finish it.
+   * A branch that only exists on the remote gets a local tracking branch first.
+   * @param {string} type The branch type
+   * @returns {Promise<string>} The name of the selected branch, without prefix
    */
-  finishHotfix(name) {
-    name = GitFlow.isValidBranchName(name);
-    const hotfixBranchName = `${this.config.prefixes.hotfix}${name}`;
-    if (!this.branchExistsLocal(hotfixBranchName)) {
-      exitWithError(`${hotfixBranchName} does not exist`);
+  async selectBranchName(type) {
+    const branch = await this.selectBranch(type);
+    if (!this.branchExistsLocal(branch)) {
+      const remote = this.getRemote(branch);
+      if (this.options.dryRun) {
+        throw new BranchNotFoundError(`${branch} only exists on ${remote}. Run 'gitflow switch ${branch}' first.`);
+      }
+      console.info(`Track ${green(branch)} from ${remote}`);
+      const { code, stderr } = this.git.run(['branch', '--track', branch, `${remote}/${branch}`]);
+      if (code !== 0) throw new CommandFailedError(stderr.trim(), { output: stderr });
+    }
+    return branch.slice(this.getBranchType(type).prefix.length);
+  }
+
+  /**
+   * Get the name of the current branch, if it is a branch of a type
+   * @param {string} type The branch type
+   * @returns {string|undefined} The name, without prefix
+   */
+  getCurrentFlowName(type) {
+    const { prefix } = this.getBranchType(type);
+    const current = this.getCurrentBranchName();
+    return current.startsWith(prefix) && current.length > prefix.length ? current.slice(prefix.length) : undefined;
+  }
+
+  /**
+   * Switch to a branch, tracking it from its remote if it only exists there
+   * @param {string} branch The name of the branch
+   * @returns {object} What the operation did, see `runCommands`
+   */
+  switchBranch(branch) {
+    this.resetQueue();
+    if (!this.branchExistsLocal(branch) && this.branchExistsRemote(branch)) {
+      const remote = this.getRemote(branch);
+      this.checkWorkingTreeClean();
+      this.addCommand(['fetch', remote, branch]);
+      this.addCommand(['checkout', '-b', branch, '--track', `${remote}/${branch}`]);
+    } else {
+      this.checkoutBranch(branch);
+    }
+    const result = this.runCommands({ type: 'switch', branch });
+    if (!this.options.dryRun) console.info(` - You are now on branch ${green(branch)}`);
+    return result;
+  }
+
+  /**
+   * Open the menu of the flow actions, when `gitflow` runs without a command
+   * @returns {Promise<void>}
+   */
+  async menu() {
+    const types = this.getBranchTypes();
+    const paused = this.loadOperationState();
+    const currentType = Object.keys(types).find((type) => this.getCurrentFlowName(type) !== undefined);
+    const { action } = await this.prompt([
+      {
+        type: 'select',
+        name: 'action',
+        message: 'What do you want to do?',
+        flag: 'a command, see --help',
+        pageSize: 15,
+        choices: [
+          ...(paused
+            ? [
+                { name: `Continue the paused ${paused.operation.type}`, value: { name: 'continue' } },
+                { name: `Abort the paused ${paused.operation.type}`, value: { name: 'abort' } },
+              ]
+            : []),
+          ...Object.keys(types).flatMap((type) => [
+            { name: `Start a ${type}`, value: { name: 'start', type } },
+            { name: `Finish a ${type}`, value: { name: 'finish', type } },
+          ]),
+          ...(currentType
+            ? [
+                {
+                  name: `Sync ${this.getCurrentBranchName()} with its base`,
+                  value: { name: 'sync', type: currentType },
+                },
+              ]
+            : []),
+          { name: 'Switch branch', value: { name: 'switch' } },
+          { name: 'Push the current branch', value: { name: 'push' } },
+          { name: 'Show the status', value: { name: 'status' } },
+          { name: 'Clean up merged branches', value: { name: 'cleanup' } },
+          { name: 'Quit', value: { name: 'quit' } },
+        ],
+      },
+    ]);
+
+    if (action.name === 'continue') return this.continueOperation();
+    if (action.name === 'abort') return this.abortOperation();
+    if (action.name === 'start') return this.startBranch(action.type, ...(await this.promptStart(action.type)));
+    if (action.name === 'finish') return this.finishBranch(action.type, await this.selectBranchName(action.type));
+    if (action.name === 'sync') return this.syncBranch(action.type);
+    if (action.name === 'switch') return this.switchBranch(await this.selectBranch());
+    if (action.name === 'push') return this.pushCurrentBranch();
+    if (action.name === 'status') return this.status();
+    if (action.name === 'cleanup') return this.cleanup();
+  }
+
+  /**
+   * Ask for the name, or the version, of a new flow branch
+   * @param {string} type The branch type
+   * @returns {Promise<Array>} The `name` and `options` arguments of `startBranch`
+   */
+  async promptStart(type) {
+    const { versioned, tag } = this.getBranchType(type);
+    if (versioned) {
+      const { part } = await this.prompt([
+        {
+          type: 'select',
+          name: 'part',
+          message: 'Which version do you want to release?',
+          choices: [
+            ...['patch', 'minor', 'major'].map((value) => ({
+              name: `${value} (${this.getNextVersion(value)})`,
+              value,
+            })),
+            { name: 'Other version', value: 'other' },
+          ],
+        },
+      ]);
+      if (part !== 'other') return [[], { [part]: true }];
+    }
+
+    const { name } = await this.prompt([
+      {
+        type: 'input',
+        name: 'name',
+        message: versioned ? 'Enter the version:' : `Enter the name of the ${type}:`,
+        default: tag && !versioned ? this.getNextVersion('patch') : undefined,
+        validate: (value) => value.trim() !== '' || 'Required',
+      },
+    ]);
+    return [name.trim().split(/\s+/), {}];
+  }
+
+  // 🔹 Shell completion
+  /**
+   * Suggest the values of a command argument or option, for shell completion:
+   * the names of the existing branches of a type for `finish` and `sync` commands, the next versions for `start`
+   * commands of a versioned type, the support branches for `--base`, the branches for `switch`
+   * @param {string} command The command, e.g. `feature:finish`
+   * @param {object} [context]
+   * @param {string} [context.option] The option whose value is completed, e.g. `--base`
+   * @param {number} [context.position] The position of the argument that is completed
+   * @returns {string[]} The suggestions
+   */
+  getCompletions(command, { option, position = 0 } = {}) {
+    if (option === '--base') return this.getLocalBranches().filter((name) => name.startsWith(this.getSupportPrefix()));
+    if (option) return [];
+
+    const branchNames = (type) => {
+      const { prefix } = this.getBranchType(type);
+      return this.getFlowBranches()
+        .filter((branch) => branch.type === type)
+        .map(({ name }) => name.slice(prefix.length));
+    };
+    const [type, action] = command.split(':');
+    const definition = this.getBranchTypes()[type];
+    if (command === 'switch') return this.getLocalBranches();
+    if (command === 'support:start' && position === 1) return this.getVersionTags().map((version) => `v${version}`);
+    if (command === 'feature:test' || command === 'release:rc' || command === 'release:changelog') {
+      return branchNames(type);
     }
-    if (this.branchesMatch(hotfixBranchName, this.config.mainBranch)) {
-      exitWithError(`No commits yet on ${hotfixBranchName}`);
+    if (!definition) return [];
+    if (action === 'finish' || action === 'sync') return branchNames(type);
+    if (action === 'start' && definition.versioned) {
+      return ['patch', 'minor', 'major'].map((part) => this.getNextVersion(part));
     }
+    return [];
+  }
+
+  /**
+   * @returns {string[]} The names of the local branches
+   */
+  getLocalBranches() {
+    const { stdout } = this.git.run(['for-each-ref', '--format=%(refname:short)', 'refs/heads']);
+    return stdout.trim().split('\n').filter(Boolean);
+  }
 
-    messageWithBorder(`🚀 Finishing ${hotfixBranchName}`);
-    this.checkoutToMain();
-    this.mergeBranch(hotfixBranchName, this.config.mainBranch);
-    this.checkoutToDevelop();
-    this.mergeBranch(hotfixBranchName, this.config.developBranch);
-    if (this.config.useStaging) {
-      this.checkoutToStaging();
-      this.mergeBranch(hotfixBranchName, this.config.stagingBranch);
+  // 🔹 Pull requests
+  /**
+   * Finish a flow branch through pull requests, for protected target branches: push the branch and open a
+   * pull request to every target. Once they are merged, `--complete` tags the version and cleans up,
+   * `--wait` does it as soon as they are merged.
+   *
+   * @param {object} finish The flow branch, resolved by `finishBranch`
+   * @param {string} finish.type The branch type
+   * @param {string} finish.name The name of the branch, without prefix
+   * @param {string} finish.branchName The name of the branch
+   * @param {string} finish.base The branch it started from
+   * @param {string} [finish.version] The version it is tagged with
+   * @param {string[]} finish.targets The branches it is merged into
+   * @param {object} [options] See `finishBranch`
+   * @returns {Promise<object>} What the operation did, see `runCommands`, with the `pullRequests`
+   */
+  async finishWithPullRequests(finish, options = {}) {
+    const { type, name, branchName, base, version, targets } = finish;
+    const definition = this.getBranchType(type);
+    if (options.strategy) {
+      throw new InvalidArgumentError(
+        '--strategy only applies to local merges. Choose the merge method on the pull request.'
+      );
+    }
+    this.hookContext = { type, branch: branchName, version, base };
+    if (options.complete) return this.completePullRequests(finish);
+
+    messageWithBorder(`🚀 Finishing ${branchName} with pull requests`);
+    this.checkoutFlowBranch(branchName);
+    this.addHook('preFinish');
+    if (definition.changelog && this.config.changelogFile) this.updateChangelog(version, branchName);
+    const remote = this.getRemote(branchName);
+    this.addHook('prePush', { GITFLOW_REMOTE: remote, GITFLOW_REF: branchName });
+    this.addCommand(['push', '-u', remote, branchName]);
+    if (this.options.dryRun) {
+      console.info(`\nPull requests to open: ${targets.map((target) => `${branchName} → ${target}`).join(', ')}`);
+    }
+    const result = this.runCommands({ type: `${type}:finish`, branch: branchName, version });
+    if (this.options.dryRun) return { ...result, pullRequests: [] };
+
+    const provider = this.getPullRequestProvider();
+    const sourceRepository = this.getRepository(branchName);
+    const ticketKey = this.getTicketKey(branchName);
+    const pullRequests = [];
+    for (const target of targets) {
+      let pullRequest = await this.callProvider(() =>
+        provider.findPullRequest({ source: branchName, target, sourceRepository })
+      );
+      if (pullRequest?.state !== 'open') {
+        const title = definition.versioned ? `Release ${version} into ${target}` : `Merge ${branchName} into ${target}`;
+        const commits = this.listCommits(branchName, target);
+        pullRequest = await this.callProvider(() =>
+          provider.createPullRequest({
+            source: branchName,
+            target,
+            title: ticketKey ? `${ticketKey} ${title}` : title,
+            body: commits ? `Commits:\n\n${commits}` : '',
+            sourceRepository,
+          })
+        );
+      }
+      console.info(` - ${green(target)}: ${pullRequest.url}`);
+      pullRequests.push({ target, ...pullRequest });
     }
-    this.deleteBranch(hotfixBranchName);
 
-    this.runCommands();
+    if (!options.wait) {
+      console.info(`\nOnce the pull requests are merged, tag and clean up with:`);
+      console.info(`   gitflow ${type}:finish ${name} --complete`);
+      console.info(`\n💚 ${bold('Done')}\n`);
+      return { ...result, pullRequests };
+    }
+    await this.waitForPullRequests(provider, pullRequests);
+    const completed = await this.completePullRequests(finish);
+    return {
+      ...completed,
+      commands: [...result.commands, ...completed.commands],
+      pushed: [...result.pushed, ...completed.pushed],
+    };
+  }
 
-    if (!this.config.pushBranches) {
-      console.info(red('Branches are not pushed to remote. Run `git push origin <branch>` to push'));
-      return;
+  /**
+   * Complete a flow branch whose pull requests are merged: tag the merge into the first target,
+   * update the local target branches and delete the flow branch
+   *
+   * @param {object} finish The flow branch, see `finishWithPullRequests`
+   * @returns {Promise<object>} What the operation did, see `runCommands`, with the merged `pullRequests`
+   * @throws {PullRequestError} If a pull request is missing, or not merged yet
+   */
+  async completePullRequests(finish) {
+    const { type, name, branchName, version, targets } = finish;
+    const definition = this.getBranchType(type);
+    const provider = this.getPullRequestProvider();
+    const sourceRepository = this.getRepository(branchName);
+
+    const pullRequests = [];
+    for (const target of targets) {
+      const pullRequest = await this.callProvider(() =>
+        provider.findPullRequest({ source: branchName, target, sourceRepository })
+      );
+      if (!pullRequest) {
+        throw new PullRequestError(
+          `No pull request from ${branchName} to ${target}. Run 'gitflow ${type}:finish ${name}' first.`
+        );
+      }
+      pullRequests.push({ target, ...pullRequest });
+    }
+    const unmerged = pullRequests.filter(({ state }) => state !== 'merged');
+    if (unmerged.length > 0) {
+      const list = unmerged.map(({ target, state, url }) => ` - ${target} (${state}): ${url}`);
+      throw new PullRequestError(`Pull requests not merged yet:\n${list.join('\n')}`);
+    }
+
+    messageWithBorder(`🚀 Completing ${branchName}`);
+    for (const remote of new Set(targets.map((target) => this.getRemote(target)))) {
+      this.addCommand(['fetch', remote]);
+    }
+    if (definition.tag) {
+      const [first] = pullRequests;
+      this.addTag(version, first.mergeCommit ?? `${this.getRemote(first.target)}/${first.target}`);
+    }
+    for (const target of targets.filter((target) => this.branchExistsLocal(target))) {
+      this.checkoutBranch(target);
+    }
+    // The pull requests may have been squashed or rebased, so the local branch is deleted even if not merged
+    if (definition.deleteAfterFinish) this.deleteBranch(branchName, true);
+    this.addHook('postFinish');
+    const result = { ...this.runCommands({ type: `${type}:finish`, branch: branchName, version }), pullRequests };
+    if (this.options.dryRun) return result;
+
+    messageWithBorder(definition.versioned ? '🎉 Congratulation for the new release 🥳' : `🚀 ${name} finished.`);
+    return result;
+  }
+
+  /**
+   * Poll the pull requests until they are all merged, every `pullRequests.pollInterval` seconds (30 by default),
+   * for at most `pullRequests.waitTimeout` seconds (an hour by default)
+   *
+   * @param {PullRequestProvider} provider The provider
+   * @param {object[]} pullRequests The pull requests
+   * @returns {Promise<void>}
+   * @throws {PullRequestError} If a pull request is closed without being merged, or not merged in time
+   */
+  async waitForPullRequests(provider, pullRequests) {
+    const { pollInterval = 30, waitTimeout = 3600 } = this.config.pullRequests ?? {};
+    const deadline = Date.now() + waitTimeout * 1000;
+    console.info(`\nWaiting for the pull requests to be merged...`);
+    for (;;) {
+      const states = await Promise.all(
+        pullRequests.map(({ id }) => this.callProvider(() => provider.getPullRequest(id)))
+      );
+      const closed = states.find(({ state }) => state === 'closed');
+      if (closed) throw new PullRequestError(`${closed.url} was closed without being merged`);
+      const unmerged = states.filter(({ state }) => state !== 'merged');
+      if (unmerged.length === 0) return;
+      if (Date.now() + pollInterval * 1000 > deadline) {
+        const list = unmerged.map(({ url }) => ` - ${url}`);
+        throw new PullRequestError(
+          `Pull requests not merged after ${waitTimeout} seconds:\n${list.join('\n')}\nComplete later with --complete.`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollInterval * 1000));
+    }
+  }
+
+  /**
+   * Create the provider of the `pullRequests` configuration: `provider` (`github` by default), `apiUrl`,
+   * `repository` and `tokenEnv`, the environment variable holding the API token
+   *
+   * @returns {PullRequestProvider} The provider
+   */
+  getPullRequestProvider() {
+    const { provider = 'github', apiUrl, tokenEnv } = this.config.pullRequests ?? {};
+    const repository = this.getRepository(this.config.mainBranch);
+    const token = tokenEnv ? process.env[tokenEnv] : undefined;
+    try {
+      return createProvider(provider, { apiUrl, token, repository });
+    } catch (error) {
+      throw new PullRequestError(error.message);
+    }
+  }
+
+  /**
+   * Get the repository of the remote a branch is pushed to, e.g. `owner/repo`.
+   * `pullRequests.repository` takes precedence for the branches pushed to the default remote.
+   *
+   * @param {string} branch The name of the branch
+   * @returns {string} The repository path
+   */
+  getRepository(branch) {
+    const remote = this.getRemote(branch);
+    const { repository } = this.config.pullRequests ?? {};
+    if (repository && remote === this.config.remote) return repository;
+
+    const url = this.git.run(['remote', 'get-url', remote]).stdout;
+    const repositoryPath = parseRepositoryPath(url);
+    if (!repositoryPath) {
+      throw new InvalidConfigError(`Cannot find the repository of remote '${remote}'. Set 'pullRequests.repository'.`);
+    }
+    return repositoryPath;
+  }
+
+  /**
+   * Call the pull request provider, turning its failures into a `PullRequestError`
+   *
+   * @param {Function} call The call, returning a promise
+   * @returns {Promise<any>} The result
+   */
+  async callProvider(call) {
+    try {
+      return await call();
+    } catch (error) {
+      throw new PullRequestError(`Pull request provider failed: ${error.message}`);
     }
   }
 }
@@ -0,0 +1,222 @@
+/**
+ * Pull Request Provider
+ * @class
+ * @classdesc The interface of the hosting services pull requests are opened on, see `GitHubProvider` and
+ * `GitLabProvider`. Pull requests are returned as `{ id, url, state, mergeCommit }`, where `state` is
+ * `open`, `merged` or `closed`.
+ * @property {string} apiUrl - The base URL of the REST API
+ * @property {string} [token] - The API token
+ * @property {string} repository - The repository pull requests target, e.g. `owner/repo`
+ * @example registerProvider('bitbucket', BitbucketProvider);
+ */
+export class PullRequestProvider {
+  static defaultApiUrl;
+  static tokenEnv;
+  apiUrl;
+  token;
+  repository;
+
+  /**
+   * @param {object} options
+   * @param {string} [options.apiUrl] The base URL of the REST API, e.g. a local mock server
+   * @param {string} [options.token] The API token
+   * @param {string} options.repository The repository pull requests target
+   */
+  constructor({ apiUrl, token, repository }) {
+    this.apiUrl = (apiUrl ?? this.constructor.defaultApiUrl).replace(/\/+$/, '');
+    this.token = token;
+    this.repository = repository;
+  }
+
+  /**
+   * Open a pull request
+   * @param {object} pullRequest
+   * @param {string} pullRequest.source The branch to merge
+   * @param {string} pullRequest.target The branch to merge into
+   * @param {string} pullRequest.title The title
+   * @param {string} pullRequest.body The description
+   * @param {string} [pullRequest.sourceRepository] The repository of the source branch, when it is a fork
+   * @returns {Promise<object>} The pull request
+   */
+  async createPullRequest(pullRequest) {
+    throw new Error(`${this.constructor.name} does not implement createPullRequest`);
+  }
+
+  /**
+   * Find the most recent pull request from a branch to another, in any state
+   * @param {object} pullRequest
+   * @param {string} pullRequest.source The branch to merge
+   * @param {string} pullRequest.target The branch to merge into
+   * @param {string} [pullRequest.sourceRepository] The repository of the source branch, when it is a fork
+   * @returns {Promise<object|null>} The pull request, or null if there is none
+   */
+  async findPullRequest(pullRequest) {
+    throw new Error(`${this.constructor.name} does not implement findPullRequest`);
+  }
+
+  /**
+   * Get a pull request
+   * @param {number} id The number of the pull request
+   * @returns {Promise<object>} The pull request
+   */
+  async getPullRequest(id) {
+    throw new Error(`${this.constructor.name} does not implement getPullRequest`);
+  }
+
+  /**
+   * Send a request to the REST API
+   * @param {string} method The HTTP method
+   * @param {string} path The path, relative to the API URL
+   * @param {object} [body] The JSON body
+   * @returns {Promise<any>} The JSON response
+   * @throws {Error} If the request fails
+   */
+  async request(method, path, body) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...this.headers() },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+      const message = data?.message ?? data?.error ?? response.statusText;
+      throw new Error(`${method} ${path} failed with ${response.status}: ${JSON.stringify(message)}`);
+    }
+    return data;
+  }
+
+  /**
+   * @returns {object} The authentication headers
+   */
+  headers() {
+    return {};
+  }
+}
+
+/**
+ * GitHub pull requests, see https://docs.github.com/en/rest/pulls
+ */
+export class GitHubProvider extends PullRequestProvider {
+  static defaultApiUrl = 'https://api.github.com';
+  static tokenEnv = 'GITHUB_TOKEN';
+
+  headers() {
+    return {
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+    };
+  }
+
+  async createPullRequest({ source, target, title, body, sourceRepository }) {
+    const head = this.head(source, sourceRepository);
+    const data = await this.request('POST', `/repos/${this.repository}/pulls`, { title, head, base: target, body });
+    return GitHubProvider.toPullRequest(data);
+  }
+
+  async findPullRequest({ source, target, sourceRepository }) {
+    const query = new URLSearchParams({ head: this.head(source, sourceRepository), base: target, state: 'all' });
+    const data = await this.request('GET', `/repos/${this.repository}/pulls?${query}`);
+    return data.length > 0 ? GitHubProvider.toPullRequest(data[0]) : null;
+  }
+
+  async getPullRequest(id) {
+    return GitHubProvider.toPullRequest(await this.request('GET', `/repos/${this.repository}/pulls/${id}`));
+  }
+
+  // The head of a pull request is `owner:branch`
+  head(source, sourceRepository = this.repository) {
+    return `${sourceRepository.split('/')[0]}:${source}`;
+  }
+
+  static toPullRequest(data) {
+    const state = data.merged || data.merged_at ? 'merged' : data.state === 'open' ? 'open' : 'closed';
+    return { id: data.number, url: data.html_url, state, mergeCommit: data.merge_commit_sha ?? undefined };
+  }
+}
+
+/**
+ * GitLab merge requests, see https://docs.gitlab.com/ee/api/merge_requests.html
+ */
+export class GitLabProvider extends PullRequestProvider {
+  static defaultApiUrl = 'https://gitlab.com/api/v4';
+  static tokenEnv = 'GITLAB_TOKEN';
+
+  headers() {
+    return this.token ? { 'PRIVATE-TOKEN': this.token } : {};
+  }
+
+  async createPullRequest({ source, target, title, body }) {
+    const data = await this.request('POST', `${this.project()}/merge_requests`, {
+      source_branch: source,
+      target_branch: target,
+      title,
+      description: body,
+    });
+    return GitLabProvider.toPullRequest(data);
+  }
+
+  async findPullRequest({ source, target }) {
+    const query = new URLSearchParams({ source_branch: source, target_branch: target, order_by: 'created_at' });
+    const data = await this.request('GET', `${this.project()}/merge_requests?${query}`);
+    return data.length > 0 ? GitLabProvider.toPullRequest(data[0]) : null;
+  }
+
+  async getPullRequest(id) {
+    return GitLabProvider.toPullRequest(await this.request('GET', `${this.project()}/merge_requests/${id}`));
+  }
+
+  project() {
+    return `/projects/${encodeURIComponent(this.repository)}`;
+  }
+
+  static toPullRequest(data) {
+    const state = data.state === 'merged' ? 'merged' : data.state === 'opened' ? 'open' : 'closed';
+    const mergeCommit = data.merge_commit_sha ?? data.squash_commit_sha ?? undefined;
+    return { id: data.iid, url: data.web_url, state, mergeCommit };
+  }
+}
+
+const providers = { github: GitHubProvider, gitlab: GitLabProvider };
+
+/**
+ * Register a provider, to use it with `"pullRequests": { "provider": name }`
+ * @param {string} name The name of the provider
+ * @param {typeof PullRequestProvider} Provider The provider class
+ * @returns {void}
+ */
+export function registerProvider(name, Provider) {
+  providers[name] = Provider;
+}
+
+/**
+ * @returns {string[]} The names of the registered providers
+ */
+export function getProviderNames() {
+  return Object.keys(providers);
+}
+
+/**
+ * Create a provider
+ * @param {string} name The name of a registered provider
+ * @param {object} options The options of the provider constructor. The token defaults to the environment variable
+ * of the provider, e.g. `GITHUB_TOKEN`
+ * @returns {PullRequestProvider} The provider
+ */
+export function createProvider(name, options) {
+  const Provider = providers[name];
+  if (!Provider) throw new Error(`Unknown pull request provider '${name}'`);
+  return new Provider({ ...options, token: options.token ?? process.env[Provider.tokenEnv] });
+}
+
+/**
+ * Get the repository path from a remote URL
+ * @param {string} url The URL of a git remote
+ * @returns {string|undefined} The path, e.g. `owner/repo` or `group/subgroup/project` on GitLab
+ * @example parseRepositoryPath('git@github.com:owner/repo.git'); // 'owner/repo'
+ */
+export function parseRepositoryPath(url) {
+  const match = url.trim().match(/^(?:[\w+.-]+:\/\/(?:[^@/]+@)?[^/]+\/|[^@\s]+@[^:]+:)(.+?)(?:\.git)?\/?$/);
+  return match?.[1];
+}
@@ -0,0 +1,110 @@
+/**
+ * Changelog sections, in order. A commit lands in the first section matching its Conventional Commit type,
+ * a merged branch in the first section matching its branch type.
+ */
+const SECTIONS = [
+  { title: 'Features', commitTypes: ['feat'], branchTypes: ['feature'] },
+  { title: 'Bug Fixes', commitTypes: ['fix'], branchTypes: ['bugfix'] },
+  { title: 'Performance', commitTypes: ['perf'] },
+  { title: 'Refactoring', commitTypes: ['refactor'] },
+  { title: 'Documentation', commitTypes: ['docs'] },
+  { title: 'Other Changes' },
+];
+
+const HEADER = '# Changelog';
+
+/**
+ * Split the leading ticket key from a commit subject, e.g. `PROJ-123 feat: add login`
+ *
+ * @param {string} subject The commit subject
+ * @param {string[]} ticketPatterns The `ticketPattern` of the branch types
+ * @returns {{ ticketKey?: string, subject: string }} The ticket key, if one of the patterns matches, and the rest
+ */
+function splitTicketKey(subject, ticketPatterns) {
+  for (const pattern of ticketPatterns) {
+    const match = subject.match(new RegExp(`^(?<ticketKey>${pattern}) (?<rest>.*)$`, 's'));
+    if (match) return { ticketKey: match.groups.ticketKey, subject: match.groups.rest };
+  }
+  return { subject };
+}
+
+/**
+ * Parse the commits of a release into changelog entries
+ *
+ * @param {{ hash: string, subject: string }[]} commits The first-parent commits of the release
+ * @param {object} prefixes The branch prefixes from the configuration
+ * @param {string[]} [remotes] The configured remotes, stripped from merged remote-tracking branches
+ * @param {string[]} [ticketPatterns] The `ticketPattern` of the branch types, for the keys prefixing the subjects
+ * @returns {{ commitType?: string, branchType?: string, scope?: string, text: string, hash: string }[]} The entries
+ * @example parseCommits([{ hash: 'abc1234', subject: 'PROJ-1 feat: add login' }], prefixes, ['origin'], ['PROJ-\\d+']);
+ */
+export function parseCommits(commits, prefixes, remotes = ['origin'], ticketPatterns = []) {
+  const entries = [];
+  for (const { hash, subject: fullSubject } of commits) {
+    // A leading ticket key is kept in the text only
+    const { ticketKey, subject } = splitTicketKey(fullSubject, ticketPatterns);
+    const merge = subject.match(/^(?:Squash merge|Merge) (?:branch|remote-tracking branch|pull request #\d+ from) '?([^'\s]+)'?/);
+    if (merge) {
+      // Only merged feature and bugfix branches are listed, other merges are part of the flow itself
+      const remote = remotes.find((name) => merge[1].startsWith(`${name}/`));
+      const branch = remote ? merge[1].slice(remote.length + 1) : merge[1];
+      const branchType = ['feature', 'bugfix'].find((type) => branch.includes(prefixes[type]));
+      if (branchType) {
+        const name = branch.slice(branch.indexOf(prefixes[branchType]) + prefixes[branchType].length);
+        entries.push({ branchType, text: `${name} (${prefixes[branchType]}${name})`, hash });
+      }
+      continue;
+    }
+
+    const conventional = subject.match(/^(\w+)(?:\(([^)]+)\))?!?: (.+)$/);
+    if (conventional) {
+      const [, commitType, scope, text] = conventional;
+      entries.push({ commitType, scope, text: ticketKey ? `${ticketKey} ${text}` : text, hash });
+    } else {
+      entries.push({ text: fullSubject, hash });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Render a changelog section for a version
+ *
+ * @param {string} version The released version
+ * @param {object[]} entries The entries returned by `parseCommits`
+ * @param {Date} [date] The release date
+ * @returns {string} The Markdown section
+ */
+export function renderChangelogSection(version, entries, date = new Date()) {
+  const groups = SECTIONS.map((section) => ({ title: section.title, lines: [] }));
+  for (const entry of entries) {
+    const index = SECTIONS.findIndex(
+      ({ commitTypes, branchTypes }) =>
+        (!commitTypes && !branchTypes) ||
+        commitTypes?.includes(entry.commitType) ||
+        branchTypes?.includes(entry.branchType)
+    );
+    const scope = entry.scope ? `**${entry.scope}:** ` : '';
+    groups[index].lines.push(`- ${scope}${entry.text} (${entry.hash.slice(0, 7)})`);
+  }
+
+  let section = `## [${version}] - ${date.toISOString().slice(0, 10)}\n`;
+  const filled = groups.filter(({ lines }) => lines.length > 0);
+  if (filled.length === 0) section += '\nNo changes.\n';
+  for (const { title, lines } of filled) {
+    section += `\n### ${title}\n\n${lines.join('\n')}\n`;
+  }
+  return section;
+}
+
+/**
+ * Prepend a section to the changelog, below its header
+ *
+ * @param {string} content The current changelog, empty if there is none yet
+ * @param {string} section The section returned by `renderChangelogSection`
+ * @returns {string} The new changelog
+ */
+export function prependChangelog(content, section) {
+  const body = content.startsWith(HEADER) ? content.slice(HEADER.length).replace(/^\s+/, '') : content;
+  return `${HEADER}\n\n${section}${body ? `\n${body}` : ''}`;
+}
@@ -0,0 +1,113 @@
+/**
+ * The shells `gitflow completion` prints a script for
+ */
+export const SHELLS = ['bash', 'zsh', 'fish'];
+
+/**
+ * Completion scripts. They pass the words typed so far to the hidden `gitflow __complete` command,
+ * which prints the candidates one per line.
+ */
+const SCRIPTS = {
+  bash: `# gitflow bash completion, add to ~/.bashrc:
+#   source <(gitflow completion bash)
+_gitflow_completion() {
+  local cur words cword
+  if declare -F _get_comp_words_by_ref >/dev/null; then
+    # Keep the colon of commands like feature:start in the same word
+    _get_comp_words_by_ref -n : cur words cword
+  else
+    cur="\${COMP_WORDS[COMP_CWORD]}"
+    words=("\${COMP_WORDS[@]}")
+    cword=$COMP_CWORD
+  fi
+  local IFS=$'\\n'
+  COMPREPLY=($(gitflow __complete -- "\${words[@]:1:cword}" 2>/dev/null))
+  if declare -F __ltrim_colon_completions >/dev/null; then
+    __ltrim_colon_completions "$cur"
+  fi
+}
+complete -o default -F _gitflow_completion gitflow
+`,
+  zsh: `#compdef gitflow
+# gitflow zsh completion, add to ~/.zshrc:
+#   source <(gitflow completion zsh)
+_gitflow() {
+  local -a completions
+  completions=(\${(f)"$(gitflow __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)"})
+  compadd -a completions
+}
+if [ "$funcstack[1]" = "_gitflow" ]; then
+  _gitflow "$@"
+else
+  compdef _gitflow gitflow
+fi
+`,
+  fish: `# gitflow fish completion, add to ~/.config/fish/config.fish:
+#   gitflow completion fish | source
+function __gitflow_complete
+    set -l tokens (commandline -opc) (commandline -ct)
+    gitflow __complete -- $tokens[2..-1] 2>/dev/null
+end
+complete -c gitflow -f -a '(__gitflow_complete)'
+`,
+};
+
+/**
+ * Get the completion script of a shell
+ *
+ * @param {string} shell One of `SHELLS`
+ * @returns {string} The script
+ */
+export function completionScript(shell) {
+  return SCRIPTS[shell];
+}
+
+/**
+ * Complete the last word typed on the command line, from the commander definitions.
+ * Commands, options and their choices are completed from the program itself, other values from `suggest`.
+ *
+ * @param {import('commander').Command} program The program, with every command registered
+ * @param {string[]} words The words typed after `gitflow`, the last one being completed
+ * @param {(command: string, context: { option?: string, position?: number }) => string[]} suggest Dynamic values
+ * for an argument of a command, by position, or for the value of one of its options
+ * @returns {string[]} The candidates starting with the last word
+ * @example completeWords(program, ['feature:fin'], suggest); // ['feature:finish']
+ */
+export function completeWords(program, words, suggest) {
+  // Global options, like --dry-run, may come before the command
+  while (words.length > 1 && words[0].startsWith('-')) words = words.slice(1);
+  const current = words.at(-1) ?? '';
+  const previous = words.at(-2);
+  const help = program.createHelp();
+  const globalOptions = program.options.map((option) => option.long).filter(Boolean);
+
+  let candidates = [];
+  if (words.length <= 1) {
+    candidates = current.startsWith('-')
+      ? [...globalOptions, '--help']
+      : help.visibleCommands(program).map((command) => command.name());
+  } else {
+    const command = program.commands.find(
+      (candidate) => candidate.name() === words[0] || candidate.aliases().includes(words[0])
+    );
+    if (!command) return [];
+
+    const options = [...command.options, ...program.options];
+    const takesValue = (word) =>
+      options.some((option) => (option.long === word || option.short === word) && (option.required || option.optional));
+
+    if (takesValue(previous)) {
+      const option = options.find((candidate) => candidate.long === previous || candidate.short === previous);
+      candidates = option.argChoices ?? suggest(command.name(), { option: option.long });
+    } else if (current.startsWith('-')) {
+      candidates = [...command.options.map((candidate) => candidate.long), ...globalOptions, '--help'];
+    } else {
+      // The position of the argument being completed, not counting options and their values
+      const typed = words.slice(1, -1);
+      const position = typed.filter((word, index) => !word.startsWith('-') && !takesValue(typed[index - 1])).length;
+      const argument = command.registeredArguments[Math.min(position, command.registeredArguments.length - 1)];
+      candidates = argument?.argChoices ?? suggest(command.name(), { position });
+    }
+  }
+  return [...new Set(candidates.filter(Boolean))].filter((candidate) => candidate.startsWith(current));
+}
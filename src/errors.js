@@ -0,0 +1,94 @@
+/**
+ * Git Flow Error
+ * @class
+ * @classdesc The base class of the errors thrown by `GitFlow`. The CLI prints the message and exits with
+ * `exitCode`; scripts can check the class or the stable `code`.
+ * @property {string} code - A stable identifier of the error, e.g. `BRANCH_EXISTS`
+ * @property {number} exitCode - The exit code of the CLI
+ * @example try { gitFlow.startFeature('login'); } catch (error) { if (error instanceof BranchExistsError) ... }
+ */
+export class GitFlowError extends Error {
+  code = 'GITFLOW_ERROR';
+  exitCode = 1;
+
+  /**
+   * @param {string} message The message
+   * @param {object} [details] More properties of the error, e.g. the branch
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+
+  /**
+   * @returns {object} The `code`, the `message` and the details of the error, e.g. for `--json` output
+   */
+  toJSON() {
+    const { name, code, exitCode, ...details } = this;
+    return { code, message: this.message, ...details };
+  }
+}
+
+/** The configuration is invalid */
+export class InvalidConfigError extends GitFlowError {
+  code = 'INVALID_CONFIG';
+}
+
+/** The configuration file does not exist, run `gitflow init` */
+export class ConfigNotFoundError extends InvalidConfigError {
+  code = 'CONFIG_NOT_FOUND';
+}
+
+/** An argument or option is missing, or they do not go together */
+export class InvalidArgumentError extends GitFlowError {
+  code = 'INVALID_ARGUMENT';
+}
+
+/** A version is not valid SemVer, or cannot be released */
+export class InvalidVersionError extends GitFlowError {
+  code = 'INVALID_VERSION';
+}
+
+/** A branch name breaks the naming rules */
+export class InvalidBranchNameError extends GitFlowError {
+  code = 'INVALID_BRANCH_NAME';
+}
+
+/** The branch to create already exists */
+export class BranchExistsError extends GitFlowError {
+  code = 'BRANCH_EXISTS';
+}
+
+/** The branch does not exist */
+export class BranchNotFoundError extends GitFlowError {
+  code = 'BRANCH_NOT_FOUND';
+}
+
+/** The working tree has uncommitted changes */
+export class DirtyWorkingTreeError extends GitFlowError {
+  code = 'DIRTY_WORKING_TREE';
+}
+
+/**
+ * A merge stopped on conflicts. When the operation is paused, `operation` and `remaining` describe it,
+ * see `GitFlow.continueOperation` and `GitFlow.abortOperation`.
+ */
+export class MergeConflictError extends GitFlowError {
+  code = 'MERGE_CONFLICT';
+}
+
+/** A git command or a hook failed, `rolledBack` tells whether the refs were restored */
+export class CommandFailedError extends GitFlowError {
+  code = 'COMMAND_FAILED';
+}
+
+/** Another operation is paused, or no operation is paused when one is expected */
+export class OperationStateError extends GitFlowError {
+  code = 'OPERATION_STATE';
+}
+
+/** The pull request provider failed, or the pull requests are not in the expected state */
+export class PullRequestError extends GitFlowError {
+  code = 'PULL_REQUEST';
+}
@@ -0,0 +1,20 @@
+/**
+ * The programmatic API of Git Flow
+ * @example import { GitFlow, BranchExistsError } from 'gitflow-new';
+ * @example const gitFlow = await GitFlow.create();
+ * @example const { created } = gitFlow.startBranch('feature', ['login']);
+ */
+import GitFlow from './GitFlow.js';
+
+export { GitFlow };
+export default GitFlow;
+export { GitExecutor, RecordingGitExecutor } from './GitExecutor.js';
+export {
+  PullRequestProvider,
+  GitHubProvider,
+  GitLabProvider,
+  registerProvider,
+  getProviderNames,
+  createProvider,
+} from './PullRequestProvider.js';
+export * from './errors.js';
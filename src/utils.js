@@ -24,41 +24,131 @@ export function yellow(text) {
 }
 
 /**
- * Exit the process with status code 1
+ * Exit the process, with status code 1 by default
  *
+ * @param {number} [code=1] The exit code
  * @returns {void}
  */
-export function exit() {
-  process.exit(1);
+export function exit(code = 1) {
+  process.exit(code);
 }
 
+// SemVer 2.0 grammar, see https://semver.org
+const SEMVER_REGEX =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
 /**
- * Exit the process with a message
+ * Validate a version string against the SemVer 2.0 grammar
  *
- * @param {string} message
- * @returns {void}
- * @example exitWithMessage('An error occurred');
+ * @param {string} version
+ * @returns {boolean} Whether the version is valid
+ * @example validateVersion('1.4.0-beta.2+build.7'); // true
  */
-export function exitWithMessage(message) {
-  console.error(message);
-  exit();
+export function validateVersion(version) {
+  return SEMVER_REGEX.test(version);
 }
 
 /**
- * Exit the process with an error message
+ * Parse a SemVer 2.0 version
  *
- * @param {string} message
- * @returns {void}
- * @example exitWithError('An error occurred');
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: string[], build: string[] }|null}
+ * The parts of the version, or null if it is invalid
+ * @example parseVersion('2.0.0-rc.1'); // { major: 2, minor: 0, patch: 0, prerelease: ['rc', '1'], build: [] }
  */
-export function exitWithError(message) {
-  exitWithMessage(`\n🤕 ${message}`);
+export function parseVersion(version) {
+  const match = SEMVER_REGEX.exec(version);
+  if (!match) return null;
+  const [, major, minor, patch, prerelease, build] = match;
+  return {
+    major: Number(major),
+    minor: Number(minor),
+    patch: Number(patch),
+    prerelease: prerelease ? prerelease.split('.') : [],
+    build: build ? build.split('.') : [],
+  };
 }
 
 /**
- * Validate a version string
+ * Compare two pre-release identifiers: numeric ones numerically and lower than alphanumeric ones
  */
-export function validateVersion(version) {
-  const versionRegex = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/;
-  return versionRegex.test(version);
+function compareIdentifiers(a, b) {
+  const numericA = /^\d+$/.test(a);
+  const numericB = /^\d+$/.test(b);
+  if (numericA && numericB) return Math.sign(Number(a) - Number(b));
+  if (numericA !== numericB) return numericA ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two versions by SemVer precedence. Build metadata is ignored.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} A negative number if a < b, a positive number if a > b, 0 if they are equal
+ * @example compareVersions('1.10.0', '1.9.3'); // 1
+ * @example compareVersions('2.0.0-rc.1', '2.0.0'); // -1
+ */
+export function compareVersions(a, b) {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+  for (const part of ['major', 'minor', 'patch']) {
+    if (versionA[part] !== versionB[part]) return Math.sign(versionA[part] - versionB[part]);
+  }
+
+  // A pre-release has a lower precedence than the normal version
+  const { prerelease: preA } = versionA;
+  const { prerelease: preB } = versionB;
+  if (preA.length === 0 || preB.length === 0) return Math.sign(preB.length - preA.length);
+  for (let i = 0; i < Math.min(preA.length, preB.length); i++) {
+    const result = compareIdentifiers(preA[i], preB[i]);
+    if (result !== 0) return result;
+  }
+  return Math.sign(preA.length - preB.length);
+}
+
+/**
+ * Increment a part of a version, resetting the lower parts.
+ * A pre-release is promoted to its normal version when that is the next version of the given part.
+ *
+ * @param {string} version
+ * @param {'major'|'minor'|'patch'} part
+ * @returns {string} The incremented version, without pre-release and build metadata
+ * @example incrementVersion('1.4.2', 'minor'); // '1.5.0'
+ * @example incrementVersion('2.0.0-rc.1', 'major'); // '2.0.0'
+ */
+export function incrementVersion(version, part) {
+  const { major, minor, patch, prerelease } = parseVersion(version);
+  const isPrerelease = prerelease.length > 0;
+  if (part === 'major') {
+    return isPrerelease && minor === 0 && patch === 0 ? `${major}.0.0` : `${major + 1}.0.0`;
+  }
+  if (part === 'minor') {
+    return isPrerelease && patch === 0 ? `${major}.${minor}.0` : `${major}.${minor + 1}.0`;
+  }
+  return isPrerelease ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`;
+}
+
+// Letters that Unicode normalization does not decompose into a base letter
+const TRANSLITERATIONS = { ß: 'ss', æ: 'ae', Æ: 'AE', ø: 'o', Ø: 'O', œ: 'oe', Œ: 'OE', đ: 'd', Đ: 'D', ł: 'l', Ł: 'L' };
+
+/**
+ * Turn words into a branch name slug: accents transliterated, lowercase, words joined by hyphens.
+ * Dots, underscores and slashes are kept.
+ *
+ * @param {string|string[]} words
+ * @returns {string} The slug
+ * @example slugify(['Add', 'user', 'avatar', 'upload']); // 'add-user-avatar-upload'
+ * @example slugify('Crème brûlée'); // 'creme-brulee'
+ */
+export function slugify(words) {
+  return [words]
+    .flat()
+    .join(' ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ßæÆøØœŒđĐłŁ]/g, (letter) => TRANSLITERATIONS[letter])
+    .toLowerCase()
+    .replace(/[^a-z0-9._/]+/g, '-')
+    .replace(/^[-./]+|[-./]+$/g, '');
 }
@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { GitFlow, GitExecutor, RecordingGitExecutor, MergeConflictError } from '../src/index.js';
+
+// The flow output is not under test
+console.info = () => {};
+console.error = () => {};
+
+const config = { mainBranch: 'main', developBranch: 'develop', pushBranches: false };
+
+/**
+ * A fake repository on feature/login, where merging the branch conflicts on a.txt
+ * @returns {RecordingGitExecutor} The executor
+ */
+function conflictingRepository() {
+  let merged = false;
+  return new RecordingGitExecutor()
+    .respond(['branch', '--show-current'], { stdout: 'feature/login\n' })
+    .respond(['rev-parse', 'feature/login'], { stdout: 'abc\n' })
+    .respond(['diff', '--name-only', '--diff-filter=U'], () => ({ stdout: merged ? 'a.txt\n' : '' }))
+    .respondOnce(['merge'], () => {
+      merged = true;
+      return { code: 1, stderr: 'CONFLICT' };
+    });
+}
+
+test('a merge conflict pauses the operation in the .git directory of the executor', () => {
+  const git = conflictingRepository();
+  const gitFlow = new GitFlow(config, { executor: git });
+
+  assert.throws(() => gitFlow.finishBranch('feature', 'login'), MergeConflictError);
+  const state = JSON.parse(git.readGitFile(GitFlow.operationStateFileName));
+  assert.equal(state.operation.type, 'feature:finish');
+  assert.deepEqual(
+    state.commands.map((step) => GitFlow.formatStep(step)),
+    ['git branch -d feature/login']
+  );
+  assert.equal(fs.existsSync(GitFlow.operationStateFileName), false);
+  assert.equal(gitFlow.loadOperationState().stoppedAt.command, 'git merge --no-ff feature/login');
+});
+
+test('every operation is recorded in the journal of the executor', () => {
+  const git = conflictingRepository()
+    .respond(['rev-parse', '--verify', '--quiet', 'feature/avatar'], { code: 1 })
+    .respond(['config', 'user.name'], { stdout: 'Ada\n' });
+  const gitFlow = new GitFlow(config, { executor: git });
+
+  gitFlow.startBranch('feature', 'avatar');
+  assert.throws(() => gitFlow.finishBranch('feature', 'login'), MergeConflictError);
+  gitFlow.abortOperation();
+
+  const records = gitFlow.readJournal();
+  assert.deepEqual(
+    records.map(({ id, type, status }) => ({ id, type, status })),
+    [
+      { id: 2, type: 'feature:finish', status: 'aborted' },
+      { id: 1, type: 'feature:start', status: 'completed' },
+    ]
+  );
+  assert.equal(records[1].user.name, 'Ada');
+  assert.deepEqual(records[1].commands.at(-1), { command: 'git checkout -b feature/avatar develop', code: 0 });
+  assert.equal(gitFlow.readJournal({ type: 'feature:start' }).length, 1);
+  assert.equal(fs.existsSync(GitFlow.journalFileName), false);
+  assert.equal(fs.existsSync(`.git/${GitFlow.journalFileName}`), false);
+});
+
+test('a failed operation tells whether its rollback restored the refs', () => {
+  const git = new RecordingGitExecutor()
+    .respond(['branch', '--show-current'], { stdout: 'develop\n' })
+    .respond(['rev-parse', '--verify', '--quiet', 'feature/avatar'], { code: 1 })
+    .respond((args) => args[0] === 'checkout' && args[1] === '-b', { code: 1, stderr: 'fatal: bad object' });
+  const gitFlow = new GitFlow(config, { executor: git });
+
+  assert.throws(() => gitFlow.startBranch('feature', 'avatar'), {
+    name: 'CommandFailedError',
+    message: 'The operation was rolled back.',
+    rolledBack: true,
+  });
+
+  git.respond(['checkout', 'develop'], { code: 1, stderr: 'error: unable to check out' });
+  assert.throws(() => gitFlow.startBranch('feature', 'avatar'), {
+    name: 'CommandFailedError',
+    message: 'The operation failed, and some refs could not be restored.',
+    rolledBack: false,
+  });
+});
+
+test('preFinish runs on the flow branch and preStart on the base, whatever branch is checked out', () => {
+  const git = new RecordingGitExecutor()
+    .respond(['branch', '--show-current'], { stdout: 'main\n' })
+    .respond(['rev-parse'], (args) => ({ stdout: `${args.at(-1)}\n` }))
+    .respond(['rev-parse', '--verify', '--quiet', 'feature/avatar'], { code: 1 });
+  const hooks = { preStart: 'npm run lint', preFinish: 'npm test' };
+  const gitFlow = new GitFlow({ ...config, branchTypes: { feature: { hooks } } }, { executor: git, dryRun: true });
+
+  const { commands: finish } = gitFlow.finishBranch('feature', 'login');
+  assert.deepEqual(finish.slice(0, 2), ['git checkout feature/login', 'preFinish: npm test']);
+  const { commands: start } = gitFlow.startBranch('feature', 'avatar');
+  assert.deepEqual(start.slice(0, 3), ['git checkout develop', 'git pull origin develop', 'preStart: npm run lint']);
+});
+
+test('branch names are checked against the naming policy, with a suggestion', () => {
+  const naming = { pattern: '^[A-Za-z0-9-]+$', maxLength: 24, forbiddenWords: ['wip', 'tmp'], case: 'lower' };
+  const branchTypes = { feature: { ticketPattern: '[A-Z]+-\\d+' } };
+  const gitFlow = new GitFlow({ ...config, naming, branchTypes }, { executor: new RecordingGitExecutor() });
+
+  assert.deepEqual(gitFlow.getNamingProblems('feature', 'PROJ-12-login'), []);
+  assert.deepEqual(gitFlow.getNamingProblems('feature', 'PROJ-12-wip-Login-page-redesign'), [
+    'must be lowercase',
+    'must be at most 24 characters',
+    "must not contain 'wip'",
+  ]);
+  assert.deepEqual(gitFlow.getNamingProblems('feature', 'login_page'), ['must match /^[A-Za-z0-9-]+$/']);
+  assert.equal(gitFlow.toBranchName('feature', ['PROJ-12', 'Login', 'page']), 'PROJ-12-login-page');
+  assert.equal(gitFlow.suggestBranchName('feature', 'PROJ-12-wip-Login-page-redesign'), 'PROJ-12-login-page');
+  assert.throws(() => gitFlow.checkNamingPolicy('feature', 'PROJ-12-tmp-login'), {
+    name: 'InvalidBranchNameError',
+    message: "Invalid feature name 'PROJ-12-tmp-login': must not contain 'tmp'. Try 'PROJ-12-login'.",
+  });
+});
+
+/**
+ * A fake repository on bugfix/crash, with one commit of its own
+ * @returns {RecordingGitExecutor} The executor
+ */
+function bugfixRepository() {
+  return new RecordingGitExecutor()
+    .respond(['branch', '--show-current'], { stdout: 'bugfix/crash\n' })
+    .respond(['rev-parse'], (args) => ({ stdout: `${args.at(-1)}\n` }))
+    .respond(['log', '--reverse'], { stdout: '- abc1234 Fix the crash\n' });
+}
+
+const stagingConfig = { ...config, useStaging: true, stagingBranch: 'staging' };
+
+test('the squash strategy commits the listed commits into every target, and force-deletes the branch', () => {
+  const gitFlow = new GitFlow(stagingConfig, { executor: bugfixRepository(), dryRun: true });
+  const { commands, merges } = gitFlow.finishBranch('bugfix', 'crash', { strategy: 'squash' });
+
+  const message = (target) => `Squash merge branch 'bugfix/crash' into ${target}\n\n- abc1234 Fix the crash`;
+  assert.deepEqual(commands, [
+    'git checkout develop',
+    'git pull origin develop',
+    'git merge --squash bugfix/crash',
+    GitExecutor.format(['commit', '-m', message('develop')]),
+    'git checkout staging',
+    'git pull origin staging',
+    'git merge --squash bugfix/crash',
+    GitExecutor.format(['commit', '-m', message('staging')]),
+    'git branch -D bugfix/crash',
+  ]);
+  assert.deepEqual(
+    merges.map(({ target, strategy }) => `${target}: ${strategy}`),
+    ['develop: squash', 'staging: squash']
+  );
+});
+
+test('the rebase strategy rebases onto the first target only, and merges into the next ones', () => {
+  const gitFlow = new GitFlow(stagingConfig, { executor: bugfixRepository(), dryRun: true });
+  const { commands, merges } = gitFlow.finishBranch('bugfix', 'crash', { strategy: 'rebase' });
+
+  assert.deepEqual(commands, [
+    'git checkout develop',
+    'git pull origin develop',
+    'git rebase develop bugfix/crash',
+    'git checkout develop',
+    'git merge --ff-only bugfix/crash',
+    'git checkout staging',
+    'git pull origin staging',
+    'git merge --no-ff bugfix/crash',
+    'git branch -d bugfix/crash',
+  ]);
+  assert.deepEqual(
+    merges.map(({ target, strategy }) => `${target}: ${strategy}`),
+    ['develop: rebase', 'staging: no-ff']
+  );
+});
+
+test('waiting for pull requests gives up after the wait timeout', async () => {
+  const pullRequests = { pollInterval: 0.01, waitTimeout: 0.05 };
+  const gitFlow = new GitFlow({ ...config, pullRequests }, { executor: new RecordingGitExecutor() });
+  const provider = {
+    getPullRequest: async (id) => ({ id, state: id === 1 ? 'merged' : 'open', url: `https://example.com/pull/${id}` }),
+  };
+
+  await assert.rejects(gitFlow.waitForPullRequests(provider, [{ id: 1 }, { id: 2 }]), {
+    name: 'PullRequestError',
+    message: /not merged after 0.05 seconds:\n - https:\/\/example.com\/pull\/2\n/,
+  });
+  assert.throws(
+    () => new GitFlow({ ...config, pullRequests: { waitTimeout: 0 } }, { executor: new RecordingGitExecutor() }),
+    { message: "Invalid value for 'pullRequests.waitTimeout'. Must be a number of seconds." }
+  );
+});
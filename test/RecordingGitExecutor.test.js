@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { RecordingGitExecutor } from '../src/index.js';
+
+test('calls without a response succeed with an empty output, and are recorded in order', () => {
+  const git = new RecordingGitExecutor();
+
+  assert.deepEqual(git.run(['status']), { code: 0, stdout: '', stderr: '' });
+  git.run(['commit', '-m', 'Add file']);
+  assert.deepEqual(git.calls, [['status'], ['commit', '-m', 'Add file']]);
+  assert.deepEqual(git.commands(), ['git status', "git commit -m 'Add file'"]);
+});
+
+test('responses match leading arguments, a pattern of the command, or a predicate', () => {
+  const git = new RecordingGitExecutor()
+    .respond(['rev-parse', '--verify'], { code: 1 })
+    .respond(/^git log .*develop$/, { stdout: 'abc\n' })
+    .respond((args) => args.includes('--porcelain'), { stdout: ' M a.txt\n' });
+
+  assert.equal(git.run(['rev-parse', '--verify', '--quiet', 'main']).code, 1);
+  assert.equal(git.run(['rev-parse', 'main']).code, 0);
+  assert.equal(git.run(['log', '--format=%H', 'develop']).stdout, 'abc\n');
+  assert.equal(git.run(['log', '--format=%H', 'main']).stdout, '');
+  assert.equal(git.run(['status', '--porcelain']).stdout, ' M a.txt\n');
+});
+
+test('a response function receives the arguments, and partial results are completed', () => {
+  const git = new RecordingGitExecutor().respond(['rev-parse'], (args) => ({ stdout: `${args.at(-1)}-sha\n` }));
+
+  assert.deepEqual(git.run(['rev-parse', 'main']), { code: 0, stdout: 'main-sha\n', stderr: '' });
+});
+
+test('the most recent response wins, and one-time responses come first and are used once', () => {
+  const git = new RecordingGitExecutor()
+    .respond(['merge'], { stdout: 'first' })
+    .respond(['merge'], { stdout: 'second' })
+    .respondOnce(['merge'], { code: 1, stderr: 'CONFLICT' })
+    .respond(['merge'], { stdout: 'third' });
+
+  assert.equal(git.run(['merge', 'develop']).code, 1);
+  assert.equal(git.run(['merge', 'develop']).stdout, 'third');
+  assert.equal(git.run(['merge', 'develop']).stdout, 'third');
+});
+
+test('one-time responses are used in the order they were added', () => {
+  const git = new RecordingGitExecutor()
+    .respondOnce(['pull'], { stdout: 'one' })
+    .respondOnce(['pull'], { stdout: 'two' });
+
+  assert.deepEqual([1, 2, 3].map(() => git.run(['pull']).stdout), ['one', 'two', '']);
+});
+
+test('the files of the working tree are kept in memory', () => {
+  const git = new RecordingGitExecutor();
+  git.files.set('package.json', '{}');
+
+  assert.equal(git.readFile('package.json'), '{}');
+  assert.equal(git.readFile('missing.txt'), null);
+  git.writeFile('CHANGELOG.md', '# Changelog\n');
+  assert.equal(git.readFile('CHANGELOG.md'), '# Changelog\n');
+  assert.deepEqual(git.writes, [{ file: 'CHANGELOG.md', content: '# Changelog\n' }]);
+  assert.equal(fs.existsSync('CHANGELOG.md'), false);
+});
+
+test('the files of the .git directory are kept in memory', () => {
+  const git = new RecordingGitExecutor();
+  git.gitFiles.set('rebase-merge/head-name', 'refs/heads/feature/login');
+
+  assert.equal(git.hasGitFile('rebase-merge'), true);
+  assert.equal(git.hasGitFile('MERGE_HEAD'), false);
+  git.writeGitFile('state.json', '{}');
+  git.appendGitFile('journal.jsonl', '1\n');
+  git.appendGitFile('journal.jsonl', '2\n');
+  assert.equal(git.readGitFile('journal.jsonl'), '1\n2\n');
+  git.removeGitFile('state.json');
+  assert.equal(git.readGitFile('state.json'), null);
+  assert.equal(fs.existsSync(`${git.gitDir()}/journal.jsonl`), false);
+});
+
+test('hooks are recorded, not run', () => {
+  const git = new RecordingGitExecutor();
+
+  assert.equal(git.runHook('exit 1', { GITFLOW_BRANCH: 'feature/login' }).code, 0);
+  assert.deepEqual(git.hooks, [{ command: 'exit 1', env: { GITFLOW_BRANCH: 'feature/login' } }]);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommits, prependChangelog, renderChangelogSection } from '../src/changelog.js';
+
+const prefixes = { feature: 'feature/', bugfix: 'bugfix/', release: 'release/', hotfix: 'hotfix/' };
+
+test('conventional commits are parsed with their type and scope, other commits are kept as they are', () => {
+  const entries = parseCommits(
+    [
+      { hash: 'a000001', subject: 'feat(auth): add login' },
+      { hash: 'a000002', subject: 'fix!: drop the legacy token' },
+      { hash: 'a000003', subject: 'PROJ-12 perf: cache the avatars' },
+      { hash: 'a000004', subject: 'Bump the dependencies' },
+    ],
+    prefixes,
+    ['origin'],
+    ['PROJ-\\d+']
+  );
+
+  assert.deepEqual(entries, [
+    { commitType: 'feat', scope: 'auth', text: 'add login', hash: 'a000001' },
+    { commitType: 'fix', scope: undefined, text: 'drop the legacy token', hash: 'a000002' },
+    { commitType: 'perf', scope: undefined, text: 'PROJ-12 cache the avatars', hash: 'a000003' },
+    { text: 'Bump the dependencies', hash: 'a000004' },
+  ]);
+});
+
+test('merged feature and bugfix branches are listed, the merges of the flow itself are not', () => {
+  const entries = parseCommits(
+    [
+      { hash: 'b000001', subject: "Merge branch 'feature/avatar' into develop" },
+      { hash: 'b000002', subject: "PROJ-7 Merge branch 'bugfix/PROJ-7-crash' into develop" },
+      { hash: 'b000003', subject: "Merge remote-tracking branch 'upstream/feature/search' into develop" },
+      { hash: 'b000004', subject: 'Merge pull request #42 from octo/feature/export' },
+      { hash: 'b000005', subject: "Squash merge branch 'feature/dark-mode' into develop" },
+      { hash: 'b000006', subject: "Merge branch 'release/1.2.0' into develop" },
+      { hash: 'b000007', subject: "Merge branch 'develop' into feature/avatar" },
+    ],
+    prefixes,
+    ['origin', 'upstream'],
+    ['PROJ-\\d+']
+  );
+
+  assert.deepEqual(entries, [
+    { branchType: 'feature', text: 'avatar (feature/avatar)', hash: 'b000001' },
+    { branchType: 'bugfix', text: 'PROJ-7-crash (bugfix/PROJ-7-crash)', hash: 'b000002' },
+    { branchType: 'feature', text: 'search (feature/search)', hash: 'b000003' },
+    { branchType: 'feature', text: 'export (feature/export)', hash: 'b000004' },
+    { branchType: 'feature', text: 'dark-mode (feature/dark-mode)', hash: 'b000005' },
+  ]);
+});
+
+test('the ticket keys are those of the configured patterns', () => {
+  const commits = [
+    { hash: 'd000001', subject: '#123 fix: keep the session' },
+    { hash: 'd000002', subject: 'abc-12 feat: export to CSV' },
+    { hash: 'd000003', subject: 'PROJ-7 feat: add search' },
+  ];
+
+  const entries = parseCommits(commits, prefixes, ['origin'], ['#\\d+', '^[a-z]+-\\d+']);
+  assert.deepEqual(
+    entries.map(({ commitType, text }) => ({ commitType, text })),
+    [
+      { commitType: 'fix', text: '#123 keep the session' },
+      { commitType: 'feat', text: 'abc-12 export to CSV' },
+      { commitType: undefined, text: 'PROJ-7 feat: add search' },
+    ]
+  );
+  assert.deepEqual(
+    parseCommits(commits, prefixes).map(({ text }) => text),
+    commits.map(({ subject }) => subject)
+  );
+});
+
+test('a section groups the entries by type, in order', () => {
+  const entries = [
+    { text: 'Bump the dependencies', hash: 'c000004abcdef' },
+    { commitType: 'fix', text: 'drop the legacy token', hash: 'c000002abcdef' },
+    { commitType: 'feat', scope: 'auth', text: 'add login', hash: 'c000001abcdef' },
+    { branchType: 'feature', text: 'avatar (feature/avatar)', hash: 'c000003abcdef' },
+  ];
+  const section = renderChangelogSection('1.2.0', entries, new Date('2026-03-14T12:00:00Z'));
+
+  assert.equal(
+    section,
+    [
+      '## [1.2.0] - 2026-03-14',
+      '',
+      '### Features',
+      '',
+      '- **auth:** add login (c000001)',
+      '- avatar (feature/avatar) (c000003)',
+      '',
+      '### Bug Fixes',
+      '',
+      '- drop the legacy token (c000002)',
+      '',
+      '### Other Changes',
+      '',
+      '- Bump the dependencies (c000004)',
+      '',
+    ].join('\n')
+  );
+  assert.equal(renderChangelogSection('1.2.1', [], new Date('2026-03-15')), '## [1.2.1] - 2026-03-15\n\nNo changes.\n');
+});
+
+test('a section is prepended below the header of the changelog', () => {
+  const section = '## [1.1.0] - 2026-03-14\n\nNo changes.\n';
+
+  assert.equal(prependChangelog('', section), `# Changelog\n\n${section}`);
+  assert.equal(
+    prependChangelog('# Changelog\n\n## [1.0.0] - 2026-01-01\n\nNo changes.\n', section),
+    `# Changelog\n\n${section}\n## [1.0.0] - 2026-01-01\n\nNo changes.\n`
+  );
+  assert.equal(
+    prependChangelog('## [1.0.0] - 2026-01-01\n', section),
+    `# Changelog\n\n${section}\n## [1.0.0] - 2026-01-01\n`
+  );
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions, incrementVersion, parseVersion, slugify, validateVersion } from '../src/utils.js';
+
+test('versions follow the SemVer precedence of the specification', () => {
+  const ordered = [
+    '1.0.0-alpha',
+    '1.0.0-alpha.1',
+    '1.0.0-alpha.beta',
+    '1.0.0-beta',
+    '1.0.0-beta.2',
+    '1.0.0-beta.11',
+    '1.0.0-rc.1',
+    '1.0.0',
+    '1.0.1',
+    '1.9.0',
+    '1.10.0',
+    '2.0.0',
+  ];
+  for (const [index, version] of ordered.entries()) {
+    for (const other of ordered.slice(index + 1)) {
+      assert.equal(compareVersions(version, other), -1, `${version} < ${other}`);
+      assert.equal(compareVersions(other, version), 1, `${other} > ${version}`);
+    }
+    assert.equal(compareVersions(version, version), 0);
+  }
+  assert.deepEqual([...ordered].reverse().sort(compareVersions), ordered);
+});
+
+test('build metadata is parsed but ignored by the precedence', () => {
+  assert.deepEqual(parseVersion('1.4.0-beta.2+build.7'), {
+    major: 1,
+    minor: 4,
+    patch: 0,
+    prerelease: ['beta', '2'],
+    build: ['build', '7'],
+  });
+  assert.equal(compareVersions('1.0.0+20130313144700', '1.0.0'), 0);
+  assert.equal(compareVersions('1.0.0-beta+exp.sha.5114f85', '1.0.0-beta+exp.sha.999'), 0);
+  assert.equal(compareVersions('1.0.0-rc.1+build.9', '1.0.0+build.1'), -1);
+});
+
+test('only versions of the SemVer grammar are valid', () => {
+  for (const version of ['0.0.4', '1.2.3', '10.20.30', '1.0.0-alpha-a.b-c', '1.0.0-0A.is.legal', '1.0.0+0.build.1']) {
+    assert.equal(validateVersion(version), true, version);
+  }
+  for (const version of ['1', '1.2', '01.1.1', '1.2.3-0123', '1.2.3-', '1.2.3+', 'v1.2.3', '1.2.3.4']) {
+    assert.equal(validateVersion(version), false, version);
+    assert.equal(parseVersion(version), null, version);
+  }
+});
+
+test('incrementing a version resets the lower parts and drops the metadata', () => {
+  assert.equal(incrementVersion('1.4.2', 'major'), '2.0.0');
+  assert.equal(incrementVersion('1.4.2', 'minor'), '1.5.0');
+  assert.equal(incrementVersion('1.4.2', 'patch'), '1.4.3');
+  assert.equal(incrementVersion('1.4.2+build.7', 'patch'), '1.4.3');
+});
+
+test('incrementing a pre-release promotes it when its normal version is the next one of the part', () => {
+  assert.equal(incrementVersion('2.0.0-rc.1', 'major'), '2.0.0');
+  assert.equal(incrementVersion('2.0.0-rc.1', 'minor'), '2.0.0');
+  assert.equal(incrementVersion('2.0.0-rc.1', 'patch'), '2.0.0');
+  assert.equal(incrementVersion('1.5.0-beta', 'major'), '2.0.0');
+  assert.equal(incrementVersion('1.5.0-beta', 'minor'), '1.5.0');
+  assert.equal(incrementVersion('1.4.3-alpha.1', 'minor'), '1.5.0');
+  assert.equal(incrementVersion('1.4.3-alpha.1', 'patch'), '1.4.3');
+});
+
+test('words are slugified into a lowercase branch name', () => {
+  assert.equal(slugify(['Add', 'user', 'avatar', 'upload']), 'add-user-avatar-upload');
+  assert.equal(slugify('Crème brûlée'), 'creme-brulee');
+  assert.equal(slugify('Straße Ærø Łódź'), 'strasse-aero-lodz');
+  assert.equal(slugify(['Fix:', 'the', '"login"', 'page!']), 'fix-the-login-page');
+  assert.equal(slugify('api/v2_client.js'), 'api/v2_client.js');
+  assert.equal(slugify(' -./Trim me./- '), 'trim-me');
+});